@@ -0,0 +1,6 @@
+const corsOptions = {
+  origin: process.env.CORS_ORIGIN || "*",
+  methods: ["GET", "POST"],
+};
+
+export default corsOptions;
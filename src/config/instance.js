@@ -0,0 +1,9 @@
+import os from "os";
+import { v4 as uuidv4 } from "uuid";
+
+// Identifies this server process in Redis leases shared with other replicas
+const instanceId =
+  process.env.INSTANCE_ID ||
+  `${os.hostname()}-${process.pid}-${uuidv4().substring(0, 8)}`;
+
+export default instanceId;
@@ -1,14 +1,19 @@
 import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
 import handleSocketEvents from "../controllers/socketHandlers.js";
+import roomManager from "../services/RoomManager.js";
+import corsOptions from "./cors.js";
+import redis from "./redis.js";
 
 const setupSocket = (server) => {
   const io = new Server(server, {
-    cors: {
-      origin: "*",
-      methods: ["GET", "POST"],
-    },
+    cors: corsOptions,
   });
 
+  // Relay room broadcasts through Redis so every replica reaches its sockets
+  io.adapter(createAdapter(redis.duplicate(), redis.duplicate()));
+  roomManager.setIO(io);
+
   io.on("connection", (socket) => {
     console.log(`New Connection [${socket.id}]`);
 
@@ -18,6 +23,8 @@ const setupSocket = (server) => {
       console.log(`Socket Disconnected [${socket.id}]`);
     });
   });
+
+  return io;
 };
 
 export default setupSocket;
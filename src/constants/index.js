@@ -6,3 +6,309 @@ export const DEFAULT_POSITION = {
 };
 
 export const RADIUS = 100;
+
+export const MAX_UPLOAD_SIZE_BYTES = 50 * 1024 * 1024; // 50 MB
+
+export const ALLOWED_AUDIO_MIME_TYPES = [
+  "audio/mpeg",
+  "audio/mp3",
+  "audio/wav",
+  "audio/x-wav",
+  "audio/wave",
+  "audio/ogg",
+  "audio/flac",
+  "audio/x-flac",
+  "audio/aac",
+  "audio/mp4",
+  "audio/x-m4a",
+  "audio/webm",
+];
+
+export const ALLOWED_AUDIO_EXTENSIONS = [
+  ".mp3",
+  ".wav",
+  ".ogg",
+  ".oga",
+  ".flac",
+  ".aac",
+  ".m4a",
+  ".webm",
+];
+
+// Cache lifetimes (seconds) for served HLS files
+export const HLS_PLAYLIST_MAX_AGE = 5;
+export const HLS_SEGMENT_MAX_AGE = 31536000;
+
+// Lifetime of signed HLS URLs, rounded up to the refresh window so the
+// same URL is handed out for a while instead of on every sync tick
+export const HLS_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+export const HLS_TOKEN_REFRESH_SECONDS = 5 * 60;
+
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 2.0;
+
+export const ROLES = {
+  OWNER: "owner",
+  COHOST: "cohost",
+  LISTENER: "listener",
+};
+
+// Minimum role needed to emit each room event
+export const EVENT_PERMISSIONS = {
+  "leave-room": ROLES.LISTENER,
+  "get-songs": ROLES.LISTENER,
+  "sync-request": ROLES.LISTENER,
+  "playback-report": ROLES.LISTENER,
+  "song-upload": ROLES.COHOST,
+  "song-upload-cancel": ROLES.COHOST,
+  "song-remove": ROLES.COHOST,
+  "song-play": ROLES.COHOST,
+  "song-pause": ROLES.COHOST,
+  "song-resume": ROLES.COHOST,
+  "song-seek": ROLES.COHOST,
+  "song-stop": ROLES.COHOST,
+  "set-playback-rate": ROLES.COHOST,
+  "queue-add": ROLES.COHOST,
+  "queue-remove": ROLES.COHOST,
+  "queue-reorder": ROLES.COHOST,
+  "queue-clear": ROLES.COHOST,
+  "spatial-toggle": ROLES.COHOST,
+  "update-source-position": ROLES.COHOST,
+  "set-trajectory": ROLES.COHOST,
+  "set-layout": ROLES.COHOST,
+  "set-client-position": ROLES.COHOST,
+  "set-spatial-config": ROLES.COHOST,
+  "set-channel": ROLES.COHOST,
+  "create-invite": ROLES.COHOST,
+  "revoke-invite": ROLES.COHOST,
+  "list-invites": ROLES.COHOST,
+  "grant-cohost": ROLES.OWNER,
+  "revoke-cohost": ROLES.OWNER,
+  "transfer-ownership": ROLES.OWNER,
+  "close-room": ROLES.OWNER,
+  "set-passcode": ROLES.OWNER,
+};
+
+// Server driven clock sync: round trips per round, spacing and refresh
+export const CLOCK_SYNC_SAMPLES = 8;
+export const CLOCK_SYNC_SAMPLE_INTERVAL_MS = 100;
+export const CLOCK_SYNC_TIMEOUT_MS = 2000;
+export const CLOCK_SYNC_REFRESH_MS = 30000;
+
+// Drift handling: ignore below tolerance, nudge the rate up to the resync
+// threshold and hard resync beyond it
+export const DRIFT_TOLERANCE_MS = 20;
+export const DRIFT_RESYNC_THRESHOLD_MS = 200;
+export const DRIFT_NUDGE_WINDOW_MS = 2000;
+export const DRIFT_MAX_NUDGE = 0.05;
+export const DRIFT_STATS_TTL_SECONDS = 24 * 60 * 60;
+
+// Upstream time sync defaults, overridable through TIME_SYNC_* env vars
+export const TIME_SYNC_HOST = "pool.ntp.org";
+export const TIME_SYNC_PORT = 123;
+export const TIME_SYNC_INTERVAL_MS = 10 * 60 * 1000;
+export const TIME_SYNC_TIMEOUT_MS = 3000;
+
+// Adaptive HLS ladder, lowest bitrate first. Every variant is cut at the
+// same segment boundaries so players can switch without losing sync
+export const HLS_BITRATE_LADDER = ["48k", "96k", "192k"];
+
+// Background transcoding
+export const TRANSCODE_CONCURRENCY = 2;
+export const TRANSCODE_MAX_ATTEMPTS = 3;
+export const TRANSCODE_JOB_TTL_SECONDS = 24 * 60 * 60;
+
+// Locks on content-addressed songs are leases renewed while their holder
+// works, a conversion can take minutes but a dead server's lock lapses fast.
+// Only releases wait for a busy lock, and only briefly
+export const HLS_LOCK_TTL_MS = 10000;
+export const HLS_LOCK_HEARTBEAT_MS = 2000;
+export const HLS_LOCK_WAIT_MS = 5000;
+export const HLS_LOCK_RETRY_MS = 100;
+
+// Orphaned HLS output sweeping, overridable through HLS_* env vars
+export const HLS_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+export const HLS_ORPHAN_GRACE_MS = 60 * 60 * 1000;
+export const HLS_DISK_QUOTA_BYTES = 5 * 1024 * 1024 * 1024;
+
+// Optimistic room writes retry this often before giving up on a busy room
+export const ROOM_UPDATE_MAX_ATTEMPTS = 10;
+
+// Room tickers run on whichever instance holds the room's lease
+export const ROOM_TICKER_LEASE_MS = 6000;
+export const ROOM_SUPERVISOR_INTERVAL_MS = 2000;
+
+// Running transcodes renew their lease on every heartbeat, jobs whose
+// lease lapsed are picked up again by the next poll on any instance
+export const TRANSCODE_LEASE_MS = 10000;
+export const TRANSCODE_HEARTBEAT_MS = 2000;
+export const TRANSCODE_POLL_INTERVAL_MS = 5000;
+
+// Disconnected clients keep their slot this long before they are removed
+export const RECONNECT_GRACE_MS = 30 * 1000;
+export const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+export const CLIENT_STATUS = {
+  CONNECTED: "connected",
+  AWAY: "away",
+};
+
+// Room keys always carry a TTL. Rooms with clients are kept alive by their
+// ticker's instance, empty ones expire after their own lifetime
+export const ROOM_ACTIVE_TTL_MS = 10 * 60 * 1000;
+export const ROOM_EMPTY_TTL_MINUTES = 10;
+export const ROOM_MAX_EMPTY_TTL_MINUTES = 24 * 60;
+export const PERSISTENT_ROOM_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Room access: invite lifetimes and throttling of failed joins per IP
+export const INVITE_TTL_MINUTES = 7 * 24 * 60;
+export const JOIN_MAX_FAILURES = 10;
+export const JOIN_FAILURE_WINDOW_SECONDS = 10 * 60;
+
+// Stable codes sent with every "error" event, clients should branch on
+// these rather than on the message text
+export const ERROR_CODES = {
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  NOT_IN_ROOM: "NOT_IN_ROOM",
+  FORBIDDEN: "FORBIDDEN",
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  ROOM_BUSY: "ROOM_BUSY",
+  PASSCODE_REQUIRED: "PASSCODE_REQUIRED",
+  INVALID_PASSCODE: "INVALID_PASSCODE",
+  INVALID_INVITE: "INVALID_INVITE",
+  INVITE_NOT_FOUND: "INVITE_NOT_FOUND",
+  TOO_MANY_ATTEMPTS: "TOO_MANY_ATTEMPTS",
+  RATE_LIMITED: "RATE_LIMITED",
+  MUTED: "MUTED",
+  UPLOAD_LIMIT_REACHED: "UPLOAD_LIMIT_REACHED",
+  SOURCE_NOT_ALLOWED: "SOURCE_NOT_ALLOWED",
+  SOURCE_UNREACHABLE: "SOURCE_UNREACHABLE",
+  SOURCE_NOT_AUDIO: "SOURCE_NOT_AUDIO",
+  SOURCE_TOO_LONG: "SOURCE_TOO_LONG",
+  SOURCE_TOO_LARGE: "SOURCE_TOO_LARGE",
+  INVALID_TRAJECTORY: "INVALID_TRAJECTORY",
+  INVALID_SPATIAL_CONFIG: "INVALID_SPATIAL_CONFIG",
+  CLIENT_NOT_FOUND: "CLIENT_NOT_FOUND",
+  SONG_NOT_FOUND: "SONG_NOT_FOUND",
+  SONG_ALREADY_QUEUED: "SONG_ALREADY_QUEUED",
+  SONG_NOT_QUEUED: "SONG_NOT_QUEUED",
+  NO_CURRENT_SONG: "NO_CURRENT_SONG",
+  SONG_BUSY: "SONG_BUSY",
+  INVALID_PLAYBACK_RATE: "INVALID_PLAYBACK_RATE",
+  JOB_NOT_FOUND: "JOB_NOT_FOUND",
+  JOB_NOT_CANCELLABLE: "JOB_NOT_CANCELLABLE",
+  TRANSCODE_FAILED: "TRANSCODE_FAILED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// Largest coordinate accepted for positions in the spatial plane
+export const MAX_COORDINATE = 10 * RADIUS;
+
+// Token buckets for socket events: `burst` calls at once, refilled at
+// `perSecond`. Buckets scoped to "ip" survive reconnects, so they guard the
+// expensive events. Overridable per event through RATE_LIMITS as JSON
+export const RATE_LIMITS = {
+  default: { burst: 20, perSecond: 5, scope: "socket" },
+  "create-room": { burst: 3, perSecond: 1 / 60, scope: "ip" },
+  "join-room": { burst: 10, perSecond: 1 / 6, scope: "ip" },
+  "song-upload": { burst: 3, perSecond: 1 / 30, scope: "ip" },
+  "create-invite": { burst: 5, perSecond: 1 / 60, scope: "socket" },
+  "update-source-position": { burst: 30, perSecond: 15, scope: "socket" },
+  "playback-report": { burst: 10, perSecond: 2, scope: "socket" },
+  "clock-pong": { burst: 30, perSecond: 10, scope: "socket" },
+};
+
+// Going over a limit is a strike against what the limit is scoped to, the
+// socket or the whole IP, at most one per cooldown. Strikes within the
+// window escalate from a warning to a mute and then a disconnect
+export const RATE_LIMIT_STRIKE_COOLDOWN_MS = 5 * 1000;
+export const RATE_LIMIT_STRIKE_WINDOW_SECONDS = 5 * 60;
+export const RATE_LIMIT_MUTE_AFTER_STRIKES = 3;
+export const RATE_LIMIT_DISCONNECT_AFTER_STRIKES = 6;
+export const RATE_LIMIT_MUTE_MS = 30 * 1000;
+// Clock sync and playback reports keep a muted client in time, so only
+// their own buckets hold them back
+export const RATE_LIMIT_UNMUTED_EVENTS = ["clock-pong", "playback-report"];
+
+// Queued and running transcodes one room may have at a time
+export const TRANSCODE_MAX_PER_ROOM = 3;
+
+// Limits for songs fetched from URLs, overridable through INGEST_* env vars
+export const INGEST_MAX_DURATION_SECONDS = 60 * 60;
+export const INGEST_MAX_SIZE_BYTES = 200 * 1024 * 1024;
+export const INGEST_MAX_REDIRECTS = 5;
+export const INGEST_TIMEOUT_MS = 15 * 1000;
+
+// Addresses a song URL may not point at unless private networks are allowed
+export const INGEST_BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+// Spatial audio motion. A trajectory runs one cycle per period at speed 1,
+// the default circle reproduces the original 10 second orbit
+export const TRAJECTORY_FRAME_MS = 100;
+export const TRAJECTORY_PERIOD_MS = 10 * 1000;
+export const TRAJECTORY_MIN_SPEED = 0.05;
+export const TRAJECTORY_MAX_SPEED = 10;
+export const TRAJECTORY_MAX_KEYFRAMES = 64;
+export const RANDOM_WALK_STEPS_PER_CYCLE = 4;
+
+export const TRAJECTORY_SHAPES = {
+  CIRCLE: "circle",
+  FIGURE_EIGHT: "figure-eight",
+  PING_PONG: "ping-pong",
+  RANDOM_WALK: "random-walk",
+  KEYFRAMES: "keyframes",
+};
+
+export const TRAJECTORY_EASINGS = [
+  "linear",
+  "ease-in",
+  "ease-out",
+  "ease-in-out",
+];
+
+// Where listeners sit. Every client holds a slot of the room's layout and
+// keeps it while others come and go, free placement is set by hand
+export const LAYOUT_MODES = {
+  RING: "ring",
+  LINE: "line",
+  GRID: "grid",
+  STEREO: "stereo",
+  FREE: "free",
+};
+export const LAYOUT_DEFAULT_SLOTS = 8;
+export const LAYOUT_MAX_SLOTS = 64;
+
+// Seats remembered per room for listeners who left, by username
+export const LAYOUT_MAX_REMEMBERED_SEATS = 50;
+
+// How gain falls off with distance from the source, same models and
+// parameters as the Web Audio PannerNode
+export const DISTANCE_MODELS = {
+  LINEAR: "linear",
+  INVERSE: "inverse",
+  EXPONENTIAL: "exponential",
+};
+
+// Which channels of the track a device plays. Devices on a single channel
+// act as one speaker of a larger rig
+export const AUDIO_CHANNELS = {
+  BOTH: "both",
+  LEFT: "left",
+  RIGHT: "right",
+  MONO: "mono",
+};
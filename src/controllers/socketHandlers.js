@@ -1,58 +1,277 @@
 import roomManager from "../services/RoomManager.js";
+import roomAccess from "../services/RoomAccess.js";
+import clockSync from "../services/ClockSync.js";
+import driftMonitor from "../services/DriftMonitor.js";
+import timeService from "../services/TimeService.js";
+import transcodeQueue from "../services/TranscodeQueue.js";
+import ingestGuard from "../services/IngestGuard.js";
+import rateLimiter, { RATE_LIMIT_ACTIONS } from "../services/RateLimiter.js";
 import { sendBroadCast, sendUnicast } from "../utils/broadcast.js";
+import { signHlsUrl } from "../utils/hlsToken.js";
+import { canEmit } from "../utils/permissions.js";
+import { errorCode } from "../utils/errors.js";
+import { validate } from "../utils/validate.js";
+import { ERROR_CODES } from "../constants/index.js";
+import { SOCKET_EVENT_SCHEMAS } from "./socketSchemas.js";
 
 const handleSocketEvents = (io, socket) => {
-  const getRoomId = () => {
-    const rooms = Array.from(socket.rooms).filter((room) => room !== socket.id);
-    return rooms[0];
-  };
+  // A reconnecting socket takes over the client ID of the session it resumes
+  socket.data.clientId = socket.id;
 
-  socket.on("create-room", async ({ username }) => {
+  // Over-limit events are dropped, repeat offenders muted or disconnected
+  const admit = async (event) => {
     try {
-      const roomId = await roomManager.createRoom();
-      socket.join(roomId);
+      const verdict = await rateLimiter.check(event, {
+        socketId: socket.id,
+        ip: roomAccess.clientIp(socket),
+      });
+      if (!verdict) return true;
 
-      sendUnicast(socket, "room-created", { roomId, username });
-      sendUnicast(socket, "set-client-id", { clientId: socket.id });
+      if (verdict.action === RATE_LIMIT_ACTIONS.MUTE) {
+        sendUnicast(socket, "error", {
+          code: ERROR_CODES.MUTED,
+          event,
+          message: "Muted for sending too many events",
+          retryAfterMs: verdict.retryAfterMs,
+        });
+        return false;
+      }
 
-      const clients = await roomManager.getClients(roomId);
-      sendBroadCast(io, roomId, "room-update", { clients });
+      sendUnicast(socket, "error", {
+        code: ERROR_CODES.RATE_LIMITED,
+        event,
+        message:
+          verdict.action === RATE_LIMIT_ACTIONS.WARN
+            ? "Slow down, repeated floods get you muted"
+            : "Too many events, try again later",
+      });
+
+      if (verdict.action === RATE_LIMIT_ACTIONS.DISCONNECT) {
+        console.log(`Disconnecting [${socket.id}] for flooding ${event}`);
+        socket.disconnect(true);
+      }
+      return false;
     } catch (error) {
-      console.error(`Error creating room: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to create room" });
+      // Limits are best effort, a Redis hiccup should not drop the event
+      console.error(`Error checking rate limit: ${error.message}`);
+      return true;
     }
-  });
+  };
+
+  // Handlers only run for events within the client's rate limits and for
+  // payloads that match the event's schema
+  const on = (event, handler) => {
+    socket.on(event, async (payload = {}) => {
+      if (!(await admit(event))) return;
+
+      const problems = validate(SOCKET_EVENT_SCHEMAS[event], payload);
+      if (problems.length > 0) {
+        sendUnicast(socket, "error", {
+          code: ERROR_CODES.VALIDATION_FAILED,
+          event,
+          message: "Invalid payload",
+          details: problems,
+        });
+        return;
+      }
+
+      return handler(payload);
+    });
+  };
+
+  // Internal failures keep their details in the server log
+  const sendError = (event, error, message) => {
+    const code = errorCode(error);
+    sendUnicast(socket, "error", {
+      code,
+      event,
+      message,
+      ...(code !== ERROR_CODES.INTERNAL_ERROR && { details: error.message }),
+    });
+  };
+
+  // Reject events for rooms the socket has not joined or lacks the role for
+  const authorize = async (event, roomId) => {
+    const role = socket.rooms.has(roomId)
+      ? await roomManager.getClientRole(roomId, socket.data.clientId)
+      : null;
+
+    if (!role) {
+      sendUnicast(socket, "error", {
+        code: ERROR_CODES.NOT_IN_ROOM,
+        event,
+        message: "You are not a member of this room",
+      });
+      return false;
+    }
+
+    if (!canEmit(role, event)) {
+      sendUnicast(socket, "error", {
+        code: ERROR_CODES.FORBIDDEN,
+        event,
+        message: `Your role (${role}) is not allowed to ${event}`,
+      });
+      return false;
+    }
+
+    return true;
+  };
+
+  // Failed joins count towards the per-IP throttle
+  const rejectJoin = async (code, message) => {
+    await roomAccess.recordFailure(roomAccess.clientIp(socket));
+    sendUnicast(socket, "error", { code, event: "join-room", message });
+  };
+
+  on(
+    "create-room",
+    async ({ username, name, persistent, emptyTtlMinutes, passcode }) => {
+      try {
+        const roomId = await roomManager.createRoom(socket.id, {
+          name: name || null,
+          persistent: persistent === true,
+          emptyTtlMinutes,
+          passcodeHash: passcode
+            ? await roomAccess.hashPasscode(String(passcode))
+            : null,
+        });
+        socket.join(roomId);
+
+        sendUnicast(socket, "room-created", {
+          roomId,
+          username,
+          name: name || null,
+          persistent: persistent === true,
+          private: Boolean(passcode),
+        });
+        sendUnicast(socket, "set-client-id", { clientId: socket.id });
+
+        const clients = await roomManager.getClients(roomId);
+        sendBroadCast(io, roomId, "room-update", { clients });
+      } catch (error) {
+        console.error(`Error creating room: ${error.message}`);
+        sendError("create-room", error, "Failed to create room");
+      }
+    }
+  );
+
+  on("join-room", async (payload) => {
+    const { username, sessionToken, passcode, inviteToken } = payload;
+    let { roomId } = payload;
 
-  socket.on("join-room", async ({ roomId, username }) => {
     try {
+      if (await roomAccess.isThrottled(roomAccess.clientIp(socket))) {
+        sendUnicast(socket, "error", {
+          code: ERROR_CODES.TOO_MANY_ATTEMPTS,
+          event: "join-room",
+          message: "Too many failed join attempts, try again later",
+        });
+        return;
+      }
+
+      // Invite links carry the room, so the ID is optional with one
+      const invite = inviteToken
+        ? await roomAccess.resolveInvite(inviteToken)
+        : null;
+      if (inviteToken && (!invite || (roomId && invite.roomId !== roomId))) {
+        await rejectJoin(
+          ERROR_CODES.INVALID_INVITE,
+          "Invite is invalid or expired"
+        );
+        return;
+      }
+      roomId = roomId || invite?.roomId;
+
       if (!roomId) {
-        sendUnicast(socket, "error", { message: "Room ID is required" });
+        sendUnicast(socket, "error", {
+          code: ERROR_CODES.VALIDATION_FAILED,
+          event: "join-room",
+          message: "Room ID or invite token is required",
+        });
         return;
       }
 
+      const room = await roomManager.getRoom(roomId);
+      if (!room) {
+        await rejectJoin(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+        return;
+      }
+
+      const session = sessionToken
+        ? await roomManager.resolveSession(sessionToken)
+        : null;
+      const resumed =
+        session?.roomId === roomId && Boolean(room.clients[session.clientId]);
+
+      // The creator, resumed sessions and invitees skip the passcode
+      if (!resumed && !invite && room.ownerId !== socket.id) {
+        const denied = await roomAccess.checkPasscode(room, passcode);
+        if (denied === ERROR_CODES.PASSCODE_REQUIRED) {
+          sendUnicast(socket, "error", {
+            code: denied,
+            event: "join-room",
+            message: "This room requires a passcode",
+          });
+          return;
+        }
+        if (denied) {
+          await rejectJoin(denied, "Incorrect passcode");
+          return;
+        }
+      }
+
       socket.join(roomId);
-      const roomData = await roomManager.addClient({
-        roomId,
-        username,
-        clientId: socket.id,
-        socket,
-      });
 
-      sendUnicast(socket, "set-client-id", { clientId: socket.id });
+      let roomData;
+      if (resumed) {
+        // Drop whatever socket still holds the session before taking over
+        if (socket.data.clientId !== session.clientId) {
+          io.in(session.clientId).disconnectSockets(true);
+        }
+
+        socket.data.clientId = session.clientId;
+        socket.data.sessionToken = sessionToken;
+        socket.join(session.clientId);
+
+        roomData = await roomManager.resumeClient({
+          roomId,
+          clientId: session.clientId,
+          socketId: socket.id,
+        });
+      } else {
+        socket.data.clientId = socket.id;
+        roomData = await roomManager.addClient({
+          roomId,
+          username,
+          clientId: socket.id,
+        });
+        socket.data.sessionToken = await roomManager.createSession(
+          roomId,
+          socket.id
+        );
+      }
+      socket.data.roomId = roomId;
+
+      sendUnicast(socket, "set-client-id", { clientId: socket.data.clientId });
       sendUnicast(socket, "room-joined", {
         roomId,
         ...roomData,
+        sessionToken: socket.data.sessionToken,
+        resumed,
       });
 
       const clients = await roomManager.getClients(roomId);
       sendBroadCast(io, roomId, "room-update", { clients });
 
+      clockSync.start(socket, roomId);
+
       // Send current playback state to new client if song is playing
       if (roomData.currentSong && roomData.isPlaying) {
         sendUnicast(socket, "playback-sync", {
           songId: roomData.currentSong,
           isPlaying: roomData.isPlaying,
           playbackStartTime: roomData.playbackStartTime,
+          playbackRate: roomData.playbackRate,
           currentTime: roomData.songElapsedTime,
           serverTime: roomData.serverTime,
           hlsUrl: roomData.hlsUrl,
@@ -60,34 +279,53 @@ const handleSocketEvents = (io, socket) => {
       }
     } catch (error) {
       console.error(`Error joining room: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to join room" });
+      sendError("join-room", error, "Failed to join room");
     }
   });
 
-  socket.on("leave-room", async ({ roomId }) => {
+  on("leave-room", async ({ roomId }) => {
     try {
-      if (!roomId) return;
+      if (!(await authorize("leave-room", roomId))) return;
 
       socket.leave(roomId);
-      await roomManager.removeClient({ roomId, clientId: socket.id });
+      clockSync.stop(socket.id);
+      await roomManager.removeClient({
+        roomId,
+        clientId: socket.data.clientId,
+      });
+
+      // Leaving on purpose ends the session, there is nothing to resume
+      if (socket.data.sessionToken) {
+        await roomManager.endSession(socket.data.sessionToken);
+      }
+      socket.data.roomId = null;
+      socket.data.sessionToken = null;
 
       const clients = await roomManager.getClients(roomId);
       sendBroadCast(io, roomId, "room-update", { clients });
     } catch (error) {
       console.error(`Error leaving room: ${error.message}`);
+      sendError("leave-room", error, "Failed to leave room");
     }
   });
 
+  // socket.rooms is already empty here, so rely on what join-room stored
   socket.on("disconnect", async () => {
-    const roomId = getRoomId();
+    clockSync.stop(socket.id);
+
+    const { roomId, clientId } = socket.data;
     if (!roomId) return;
 
     try {
-      console.log(`Client [${socket.id}] disconnected from room [${roomId}]`);
-      await roomManager.removeClient({ roomId, clientId: socket.id });
+      console.log(`Client [${clientId}] disconnected from room [${roomId}]`);
+      const away = await roomManager.markClientAway({
+        roomId,
+        clientId,
+        socketId: socket.id,
+      });
 
-      const clients = await roomManager.getClients(roomId);
-      if (clients.length > 0) {
+      if (away) {
+        const clients = await roomManager.getClients(roomId);
         sendBroadCast(io, roomId, "room-update", { clients });
       }
     } catch (error) {
@@ -95,95 +333,153 @@ const handleSocketEvents = (io, socket) => {
     }
   });
 
-  socket.on("spatial-toggle", async ({ roomId, spatialEnabled }) => {
+  // Owner shuts the room down for everyone and frees its library
+  on("close-room", async ({ roomId }) => {
     try {
-      if (!roomId) {
-        sendUnicast(socket, "error", { message: "Room ID is required" });
-        return;
-      }
+      if (!(await authorize("close-room", roomId))) return;
 
-      const room = await roomManager.getRoom(roomId);
-      if (!room) {
-        sendUnicast(socket, "error", { message: "Room not found" });
-        return;
-      }
+      await roomManager.closeRoom(roomId);
+
+      sendBroadCast(io, roomId, "room-closed", { roomId });
+      io.in(roomId).socketsLeave(roomId);
+    } catch (error) {
+      console.error(`Error closing room: ${error.message}`);
+      sendError("close-room", error, "Failed to close room");
+    }
+  });
+
+  // Owner sets a new passcode, or clears it to open the room
+  on("set-passcode", async ({ roomId, passcode }) => {
+    try {
+      if (!(await authorize("set-passcode", roomId))) return;
+
+      await roomManager.setPasscodeHash(
+        roomId,
+        passcode ? await roomAccess.hashPasscode(String(passcode)) : null
+      );
+
+      sendBroadCast(io, roomId, "room-privacy-changed", {
+        private: Boolean(passcode),
+      });
+    } catch (error) {
+      console.error(`Error setting passcode: ${error.message}`);
+      sendError("set-passcode", error, "Failed to set passcode");
+    }
+  });
+
+  on("create-invite", async ({ roomId, ttlMinutes }) => {
+    try {
+      if (!(await authorize("create-invite", roomId))) return;
+
+      const invite = await roomAccess.createInvite(
+        roomId,
+        socket.data.clientId,
+        ttlMinutes
+      );
+
+      sendUnicast(socket, "invite-created", invite);
+    } catch (error) {
+      console.error(`Error creating invite: ${error.message}`);
+      sendError("create-invite", error, "Failed to create invite");
+    }
+  });
+
+  on("revoke-invite", async ({ roomId, token }) => {
+    try {
+      if (!(await authorize("revoke-invite", roomId))) return;
+
+      await roomAccess.revokeInvite(roomId, token);
+
+      sendUnicast(socket, "invite-revoked", { token });
+    } catch (error) {
+      console.error(`Error revoking invite: ${error.message}`);
+      sendError("revoke-invite", error, "Failed to revoke invite");
+    }
+  });
+
+  on("list-invites", async ({ roomId }) => {
+    try {
+      if (!(await authorize("list-invites", roomId))) return;
+
+      const invites = await roomAccess.listInvites(roomId);
+
+      sendUnicast(socket, "invites-list", { invites });
+    } catch (error) {
+      console.error(`Error listing invites: ${error.message}`);
+      sendError("list-invites", error, "Failed to list invites");
+    }
+  });
+
+  on("spatial-toggle", async ({ roomId, spatialEnabled }) => {
+    try {
+      if (!(await authorize("spatial-toggle", roomId))) return;
 
       await roomManager.toggleSpatialAudio(roomId, spatialEnabled);
       sendBroadCast(io, roomId, "spatial-toggled", { spatialEnabled });
     } catch (error) {
       console.error(`Error toggling spatial audio: ${error.message}`);
-      sendUnicast(socket, "error", {
-        message: "Failed to toggle spatial audio",
-      });
+      sendError("spatial-toggle", error, "Failed to toggle spatial audio");
     }
   });
 
   // Song upload with HLS conversion progress
-  socket.on("song-upload", async ({ roomId, audioUrl }) => {
+  on("song-upload", async ({ roomId, audioUrl }) => {
     try {
-      if (!roomId || !audioUrl) {
-        sendUnicast(socket, "error", {
-          message: "Room ID and audio URL are required",
-        });
-        return;
-      }
-
-      const room = await roomManager.getRoom(roomId);
-      if (!room) {
-        sendUnicast(socket, "error", { message: "Room not found" });
-        return;
-      }
+      if (!(await authorize("song-upload", roomId))) return;
 
-      // Notify upload started
-      sendUnicast(socket, "song-upload-started", { audioUrl });
+      await ingestGuard.checkUrl(audioUrl);
 
-      // Convert to HLS and upload
-      const song = await roomManager.uploadSong(roomId, audioUrl);
-
-      // Notify all clients about new song
-      sendBroadCast(io, roomId, "song-uploaded", { song });
+      // Conversion runs in the background, progress and completion
+      // are reported to the room by the queue
+      const job = await transcodeQueue.enqueue({
+        roomId,
+        songId: roomManager.songIdForUrl(audioUrl),
+        source: audioUrl,
+        requesterId: socket.data.clientId,
+      });
 
-      // Notify uploader about completion
-      sendUnicast(socket, "song-upload-completed", { song });
+      sendUnicast(socket, "song-upload-queued", { jobId: job.id, audioUrl });
     } catch (error) {
       console.error(`Error uploading song: ${error.message}`);
-      sendUnicast(socket, "error", {
-        message: "Failed to upload song",
-        details: error.message,
-      });
+      sendError("song-upload", error, "Failed to upload song");
       sendUnicast(socket, "song-upload-failed", {
         audioUrl,
+        reason: errorCode(error),
         error: error.message,
       });
     }
   });
 
-  socket.on("song-remove", async ({ roomId, songId }) => {
+  on("song-upload-cancel", async ({ roomId, jobId }) => {
     try {
-      if (!roomId || !songId) {
-        sendUnicast(socket, "error", {
-          message: "Room ID and song ID are required",
-        });
-        return;
-      }
+      if (!(await authorize("song-upload-cancel", roomId))) return;
+
+      await transcodeQueue.cancel(roomId, jobId);
+    } catch (error) {
+      console.error(`Error cancelling upload: ${error.message}`);
+      sendError("song-upload-cancel", error, "Failed to cancel upload");
+    }
+  });
+
+  on("song-remove", async ({ roomId, songId }) => {
+    try {
+      if (!(await authorize("song-remove", roomId))) return;
 
       const removedSongId = await roomManager.removeSong(roomId, songId);
 
       sendBroadCast(io, roomId, "song-removed", { songId: removedSongId });
+
+      const queue = await roomManager.getQueue(roomId);
+      sendBroadCast(io, roomId, "queue-updated", { queue });
     } catch (error) {
       console.error(`Error removing song: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to remove song" });
+      sendError("song-remove", error, "Failed to remove song");
     }
   });
 
-  socket.on("song-play", async ({ roomId, songId }) => {
+  on("song-play", async ({ roomId, songId }) => {
     try {
-      if (!roomId || !songId) {
-        sendUnicast(socket, "error", {
-          message: "Room ID and song ID are required",
-        });
-        return;
-      }
+      if (!(await authorize("song-play", roomId))) return;
 
       const playData = await roomManager.playSong(roomId, songId);
 
@@ -191,115 +487,334 @@ const handleSocketEvents = (io, socket) => {
       sendBroadCast(io, roomId, "song-started", playData);
     } catch (error) {
       console.error(`Error playing song: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to play song" });
+      sendError("song-play", error, "Failed to play song");
     }
   });
 
-  socket.on("song-pause", async ({ roomId }) => {
+  on("song-pause", async ({ roomId }) => {
     try {
-      if (!roomId) {
-        sendUnicast(socket, "error", { message: "Room ID is required" });
-        return;
-      }
+      if (!(await authorize("song-pause", roomId))) return;
 
       const pauseData = await roomManager.pauseSong(roomId);
 
       sendBroadCast(io, roomId, "song-paused", pauseData);
     } catch (error) {
       console.error(`Error pausing song: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to pause song" });
+      sendError("song-pause", error, "Failed to pause song");
     }
   });
 
-  socket.on("song-resume", async ({ roomId }) => {
+  on("song-resume", async ({ roomId }) => {
     try {
-      if (!roomId) {
-        sendUnicast(socket, "error", { message: "Room ID is required" });
-        return;
-      }
+      if (!(await authorize("song-resume", roomId))) return;
 
       const resumeData = await roomManager.resumeSong(roomId);
 
       sendBroadCast(io, roomId, "song-resumed", resumeData);
     } catch (error) {
       console.error(`Error resuming song: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to resume song" });
+      sendError("song-resume", error, "Failed to resume song");
     }
   });
 
-  socket.on("song-stop", async ({ roomId }) => {
+  on("song-seek", async ({ roomId, position }) => {
     try {
-      if (!roomId) {
-        sendUnicast(socket, "error", { message: "Room ID is required" });
-        return;
-      }
+      if (!(await authorize("song-seek", roomId))) return;
+
+      const seekData = await roomManager.seekSong(roomId, position);
+
+      sendBroadCast(io, roomId, "song-seeked", seekData);
+    } catch (error) {
+      console.error(`Error seeking song: ${error.message}`);
+      sendError("song-seek", error, "Failed to seek song");
+    }
+  });
+
+  on("set-playback-rate", async ({ roomId, rate }) => {
+    try {
+      if (!(await authorize("set-playback-rate", roomId))) return;
+
+      const rateData = await roomManager.setPlaybackRate(roomId, rate);
+
+      sendBroadCast(io, roomId, "playback-rate-changed", rateData);
+    } catch (error) {
+      console.error(`Error setting playback rate: ${error.message}`);
+      sendError("set-playback-rate", error, "Failed to set playback rate");
+    }
+  });
+
+  on("song-stop", async ({ roomId }) => {
+    try {
+      if (!(await authorize("song-stop", roomId))) return;
 
       const stopData = await roomManager.stopSong(roomId);
 
       sendBroadCast(io, roomId, "song-stopped", stopData);
     } catch (error) {
       console.error(`Error stopping song: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to stop song" });
+      sendError("song-stop", error, "Failed to stop song");
     }
   });
 
-  socket.on("get-songs", async ({ roomId }) => {
+  on("queue-add", async ({ roomId, songId }) => {
     try {
-      if (!roomId) {
-        sendUnicast(socket, "error", { message: "Room ID is required" });
-        return;
-      }
+      if (!(await authorize("queue-add", roomId))) return;
+
+      const queue = await roomManager.enqueueSong(roomId, songId);
+
+      sendBroadCast(io, roomId, "queue-updated", { queue });
+    } catch (error) {
+      console.error(`Error queueing song: ${error.message}`);
+      sendError("queue-add", error, "Failed to queue song");
+    }
+  });
+
+  on("queue-remove", async ({ roomId, songId }) => {
+    try {
+      if (!(await authorize("queue-remove", roomId))) return;
 
-      const songs = await roomManager.getSongs(roomId);
+      const queue = await roomManager.dequeueSong(roomId, songId);
+
+      sendBroadCast(io, roomId, "queue-updated", { queue });
+    } catch (error) {
+      console.error(`Error removing song from queue: ${error.message}`);
+      sendError("queue-remove", error, "Failed to remove song from queue");
+    }
+  });
+
+  on("queue-reorder", async ({ roomId, songId, toIndex }) => {
+    try {
+      if (!(await authorize("queue-reorder", roomId))) return;
+
+      const queue = await roomManager.reorderQueue(roomId, songId, toIndex);
+
+      sendBroadCast(io, roomId, "queue-updated", { queue });
+    } catch (error) {
+      console.error(`Error reordering queue: ${error.message}`);
+      sendError("queue-reorder", error, "Failed to reorder queue");
+    }
+  });
+
+  on("queue-clear", async ({ roomId }) => {
+    try {
+      if (!(await authorize("queue-clear", roomId))) return;
+
+      const queue = await roomManager.clearQueue(roomId);
+
+      sendBroadCast(io, roomId, "queue-updated", { queue });
+    } catch (error) {
+      console.error(`Error clearing queue: ${error.message}`);
+      sendError("queue-clear", error, "Failed to clear queue");
+    }
+  });
+
+  on("transfer-ownership", async ({ roomId, clientId }) => {
+    try {
+      if (!(await authorize("transfer-ownership", roomId))) return;
+
+      const roles = await roomManager.transferOwnership(roomId, clientId);
+
+      sendBroadCast(io, roomId, "roles-updated", roles);
+      const clients = await roomManager.getClients(roomId);
+      sendBroadCast(io, roomId, "room-update", { clients });
+    } catch (error) {
+      console.error(`Error transferring ownership: ${error.message}`);
+      sendError("transfer-ownership", error, "Failed to transfer ownership");
+    }
+  });
+
+  on("grant-cohost", async ({ roomId, clientId }) => {
+    try {
+      if (!(await authorize("grant-cohost", roomId))) return;
+
+      const roles = await roomManager.grantCoHost(roomId, clientId);
+
+      sendBroadCast(io, roomId, "roles-updated", roles);
+      const clients = await roomManager.getClients(roomId);
+      sendBroadCast(io, roomId, "room-update", { clients });
+    } catch (error) {
+      console.error(`Error granting co-host: ${error.message}`);
+      sendError("grant-cohost", error, "Failed to grant co-host");
+    }
+  });
+
+  on("revoke-cohost", async ({ roomId, clientId }) => {
+    try {
+      if (!(await authorize("revoke-cohost", roomId))) return;
+
+      const roles = await roomManager.revokeCoHost(roomId, clientId);
+
+      sendBroadCast(io, roomId, "roles-updated", roles);
+      const clients = await roomManager.getClients(roomId);
+      sendBroadCast(io, roomId, "room-update", { clients });
+    } catch (error) {
+      console.error(`Error revoking co-host: ${error.message}`);
+      sendError("revoke-cohost", error, "Failed to revoke co-host");
+    }
+  });
+
+  on("get-songs", async ({ roomId }) => {
+    try {
+      if (!(await authorize("get-songs", roomId))) return;
+
+      const songs = await roomManager.getSongs(roomId, socket.data.clientId);
 
       sendUnicast(socket, "songs-list", { songs });
     } catch (error) {
       console.error(`Error getting songs: ${error.message}`);
-      sendUnicast(socket, "error", { message: "Failed to get songs" });
+      sendError("get-songs", error, "Failed to get songs");
     }
   });
 
   // Client sync for precise playback
-  socket.on("sync-request", async ({ roomId }) => {
+  on("sync-request", async ({ roomId }) => {
     try {
-      if (!roomId) return;
+      if (!(await authorize("sync-request", roomId))) return;
 
       const room = await roomManager.getRoom(roomId);
       if (!room) return;
 
       if (room.currentSong && room.isPlaying) {
         const currentTime = roomManager._calculateCurrentPlaybackTime(room);
+        const client = room.clients[socket.data.clientId];
 
         sendUnicast(socket, "playback-sync", {
           songId: room.currentSong,
           isPlaying: room.isPlaying,
           playbackStartTime: room.playbackStartTime,
+          playbackRate: room.playbackRate,
           currentTime: currentTime,
-          serverTime: Date.now(),
-          hlsUrl: room.hlsUrl,
+          serverTime: timeService.now(),
+          clockOffset: client?.clockOffset || 0,
+          latency: client?.latency || 0,
+          hlsUrl: signHlsUrl(room.hlsUrl, {
+            roomId,
+            clientId: socket.data.clientId,
+          }),
         });
       }
     } catch (error) {
       console.error(`Error handling sync request: ${error.message}`);
+      sendError("sync-request", error, "Failed to sync playback");
     }
   });
 
+  // Client reports where its player actually is
+  on("playback-report", async ({ roomId, songId, position, clientTime }) => {
+    try {
+      if (!(await authorize("playback-report", roomId))) return;
+
+      await driftMonitor.handleReport(socket, roomId, {
+        songId,
+        position,
+        clientTime,
+      });
+    } catch (error) {
+      console.error(`Error handling playback report: ${error.message}`);
+      sendError("playback-report", error, "Failed to record playback report");
+    }
+  });
+
+  // Reply to a server driven clock-ping round
+  on("clock-pong", (data) => {
+    clockSync.handlePong(socket, data);
+  });
+
   // Client latency measurement for better sync
-  socket.on("ping", ({ timestamp }) => {
+  on("ping", ({ timestamp }) => {
     sendUnicast(socket, "pong", {
       timestamp,
-      serverTime: Date.now(),
+      serverTime: timeService.now(),
     });
   });
 
+  // Pick how the sound source moves while spatial audio is on
+  on("set-trajectory", async ({ roomId, ...options }) => {
+    try {
+      if (!(await authorize("set-trajectory", roomId))) return;
+
+      const trajectory = await roomManager.setTrajectory(roomId, options);
+
+      sendBroadCast(io, roomId, "trajectory-changed", { trajectory });
+    } catch (error) {
+      console.error(`Error setting trajectory: ${error.message}`);
+      sendError("set-trajectory", error, "Failed to set trajectory");
+    }
+  });
+
+  on("set-layout", async ({ roomId, mode, slots }) => {
+    try {
+      if (!(await authorize("set-layout", roomId))) return;
+
+      const layout = await roomManager.setLayout(roomId, { mode, slots });
+
+      sendBroadCast(io, roomId, "layout-changed", { layout });
+      const clients = await roomManager.getClients(roomId);
+      sendBroadCast(io, roomId, "room-update", { clients });
+    } catch (error) {
+      console.error(`Error setting layout: ${error.message}`);
+      sendError("set-layout", error, "Failed to set layout");
+    }
+  });
+
+  // Hosts drag devices to where they physically sit
+  on("set-client-position", async ({ roomId, clientId, position }) => {
+    try {
+      if (!(await authorize("set-client-position", roomId))) return;
+
+      const layout = await roomManager.setClientPosition(
+        roomId,
+        clientId,
+        position
+      );
+
+      sendBroadCast(io, roomId, "layout-changed", { layout });
+      const clients = await roomManager.getClients(roomId);
+      sendBroadCast(io, roomId, "room-update", { clients });
+    } catch (error) {
+      console.error(`Error setting client position: ${error.message}`);
+      sendError("set-client-position", error, "Failed to set client position");
+    }
+  });
+
+  on("set-spatial-config", async ({ roomId, ...changes }) => {
+    try {
+      if (!(await authorize("set-spatial-config", roomId))) return;
+
+      const spatialConfig = await roomManager.setSpatialConfig(roomId, changes);
+
+      sendBroadCast(io, roomId, "spatial-config-changed", { spatialConfig });
+    } catch (error) {
+      console.error(`Error setting spatial config: ${error.message}`);
+      sendError("set-spatial-config", error, "Failed to set spatial config");
+    }
+  });
+
+  // Assign a device to one channel, to build a speaker rig out of phones
+  on("set-channel", async ({ roomId, clientId, channel }) => {
+    try {
+      if (!(await authorize("set-channel", roomId))) return;
+
+      await roomManager.setClientChannel(roomId, clientId, channel);
+    } catch (error) {
+      console.error(`Error setting channel: ${error.message}`);
+      sendError("set-channel", error, "Failed to set channel");
+    }
+  });
+
   // Manual position update for spatial audio
-  socket.on("update-source-position", async ({ roomId, position }) => {
+  on("update-source-position", async ({ roomId, position }) => {
     try {
-      if (!roomId || !position) return;
+      if (!(await authorize("update-source-position", roomId))) return;
 
       await roomManager.updateSourcePosition(roomId, position);
     } catch (error) {
       console.error(`Error updating source position: ${error.message}`);
+      sendError(
+        "update-source-position",
+        error,
+        "Failed to update source position"
+      );
     }
   });
 };
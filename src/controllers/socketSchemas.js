@@ -0,0 +1,205 @@
+import {
+  AUDIO_CHANNELS,
+  DISTANCE_MODELS,
+  INVITE_TTL_MINUTES,
+  LAYOUT_MAX_SLOTS,
+  LAYOUT_MODES,
+  MAX_COORDINATE,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+  ROOM_MAX_EMPTY_TTL_MINUTES,
+  TRAJECTORY_EASINGS,
+  TRAJECTORY_MAX_KEYFRAMES,
+  TRAJECTORY_MAX_SPEED,
+  TRAJECTORY_MIN_SPEED,
+  TRAJECTORY_SHAPES,
+} from "../constants/index.js";
+
+// Payload schemas for every event a client may send, see utils/validate.js
+
+const roomId = { type: "string", required: true, pattern: /^\d{6}$/ };
+const songId = {
+  type: "string",
+  required: true,
+  pattern: /^song_[A-Za-z0-9_]{1,64}$/,
+};
+const clientId = { type: "string", required: true, maxLength: 64 };
+const token = { type: "string", pattern: /^[A-Za-z0-9_-]{16,128}$/ };
+const passcode = { type: "string", minLength: 4, maxLength: 128 };
+const coordinate = {
+  type: "number",
+  required: true,
+  min: -MAX_COORDINATE,
+  max: MAX_COORDINATE,
+};
+const timestamp = { type: "number", required: true, min: 0 };
+const point = { type: "object", fields: { x: coordinate, y: coordinate } };
+const easing = { type: "string", enum: TRAJECTORY_EASINGS };
+
+const roomOnly = { roomId };
+
+export const SOCKET_EVENT_SCHEMAS = {
+  "create-room": {
+    username: { type: "string", maxLength: 32 },
+    name: { type: "string", nullable: true, maxLength: 64 },
+    persistent: { type: "boolean" },
+    emptyTtlMinutes: {
+      type: "integer",
+      min: 0,
+      max: ROOM_MAX_EMPTY_TTL_MINUTES,
+    },
+    passcode,
+  },
+  "join-room": {
+    // Optional when joining through an invite, which names the room
+    roomId: { ...roomId, required: false },
+    username: { type: "string", required: true, minLength: 1, maxLength: 32 },
+    sessionToken: token,
+    passcode,
+    inviteToken: token,
+  },
+  "leave-room": roomOnly,
+  "close-room": roomOnly,
+  "set-passcode": { roomId, passcode: { ...passcode, nullable: true } },
+  "create-invite": {
+    roomId,
+    ttlMinutes: { type: "integer", min: 1, max: INVITE_TTL_MINUTES },
+  },
+  "revoke-invite": { roomId, token: { ...token, required: true } },
+  "list-invites": roomOnly,
+  "spatial-toggle": {
+    roomId,
+    spatialEnabled: { type: "boolean", required: true },
+  },
+  "song-upload": {
+    roomId,
+    audioUrl: { type: "string", required: true, minLength: 1, maxLength: 2048 },
+  },
+  "song-upload-cancel": {
+    roomId,
+    jobId: {
+      type: "string",
+      required: true,
+      pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+    },
+  },
+  "song-remove": { roomId, songId },
+  "song-play": { roomId, songId },
+  "song-pause": roomOnly,
+  "song-resume": roomOnly,
+  "song-seek": {
+    roomId,
+    position: { type: "number", required: true, min: 0 },
+  },
+  "set-playback-rate": {
+    roomId,
+    rate: {
+      type: "number",
+      required: true,
+      min: MIN_PLAYBACK_RATE,
+      max: MAX_PLAYBACK_RATE,
+    },
+  },
+  "song-stop": roomOnly,
+  "queue-add": { roomId, songId },
+  "queue-remove": { roomId, songId },
+  "queue-reorder": {
+    roomId,
+    songId,
+    toIndex: { type: "integer", required: true, min: 0 },
+  },
+  "queue-clear": roomOnly,
+  "transfer-ownership": { roomId, clientId },
+  "grant-cohost": { roomId, clientId },
+  "revoke-cohost": { roomId, clientId },
+  "get-songs": roomOnly,
+  "sync-request": roomOnly,
+  "playback-report": {
+    roomId,
+    songId: { ...songId, nullable: true },
+    position: { type: "number", required: true, min: 0 },
+    clientTime: timestamp,
+  },
+  "clock-pong": {
+    seq: { type: "integer", required: true, min: 0 },
+    clientReceiveTime: timestamp,
+    clientSendTime: timestamp,
+  },
+  ping: { timestamp },
+  "set-trajectory": {
+    roomId,
+    shape: {
+      type: "string",
+      required: true,
+      enum: Object.values(TRAJECTORY_SHAPES),
+    },
+    speed: {
+      type: "number",
+      min: TRAJECTORY_MIN_SPEED,
+      max: TRAJECTORY_MAX_SPEED,
+    },
+    center: point,
+    radius: { type: "number", min: 0, max: MAX_COORDINATE },
+    from: point,
+    to: point,
+    easing,
+    seed: { type: "integer", min: 0, max: 2 ** 31 - 1 },
+    keyframes: {
+      type: "array",
+      minItems: 2,
+      maxItems: TRAJECTORY_MAX_KEYFRAMES,
+      items: {
+        type: "object",
+        fields: {
+          x: coordinate,
+          y: coordinate,
+          at: { type: "number", required: true, min: 0 },
+          easing,
+        },
+      },
+    },
+    loop: { type: "boolean" },
+    tempo: {
+      type: "object",
+      fields: {
+        bpm: { type: "number", required: true, min: 20, max: 300 },
+        beatsPerCycle: { type: "integer", min: 1, max: 64 },
+      },
+    },
+  },
+  "set-layout": {
+    roomId,
+    mode: { type: "string", required: true, enum: Object.values(LAYOUT_MODES) },
+    slots: { type: "integer", min: 1, max: LAYOUT_MAX_SLOTS },
+  },
+  "set-client-position": {
+    roomId,
+    clientId,
+    position: { ...point, required: true },
+  },
+  "set-spatial-config": {
+    roomId,
+    distanceModel: { type: "string", enum: Object.values(DISTANCE_MODELS) },
+    refDistance: { type: "number", min: 0, max: MAX_COORDINATE },
+    maxDistance: { type: "number", min: 0, max: 2 * MAX_COORDINATE },
+    rolloff: { type: "number", min: 0, max: 10 },
+    minGain: { type: "number", min: 0, max: 1 },
+  },
+  "set-channel": {
+    roomId,
+    clientId,
+    channel: {
+      type: "string",
+      required: true,
+      enum: Object.values(AUDIO_CHANNELS),
+    },
+  },
+  "update-source-position": {
+    roomId,
+    position: {
+      type: "object",
+      required: true,
+      fields: { x: coordinate, y: coordinate },
+    },
+  },
+};
@@ -1,41 +1,51 @@
 import express from "express";
 import http from "node:http";
 import cors from "cors";
-import ntpClient from "ntp-client";
+import corsOptions from "./config/cors.js";
 import setupSocket from "./config/socket.js";
 import uploadRoutes from "./routes/upload.js";
+import hlsRoutes from "./routes/hls.js";
+import roomRoutes from "./routes/rooms.js";
+import roomManager from "./services/RoomManager.js";
+import timeService from "./services/TimeService.js";
+import transcodeQueue from "./services/TranscodeQueue.js";
+import hlsSweeper from "./services/HlsSweeper.js";
 
 const app = express();
 const server = http.createServer(app);
 
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use("/api/v1", uploadRoutes);
+app.use("/api/v1", roomRoutes);
+app.use("/hls", hlsRoutes);
 
 app.get("/ntp", (req, res) => {
-  ntpClient.getNetworkTime("pool.ntp.org", 123, (err, date) => {
-    if (err) {
-      return res.json({
-        message: "SERVER TIME",
-        time: new Date().toISOString(),
-      });
-    }
-    res.json({
-      message: "NTP TIME",
-      time: date.toISOString(),
-    });
+  const status = timeService.status();
+
+  res.json({
+    message: status.synced ? "NTP TIME" : "SERVER TIME",
+    time: new Date(status.serverTime).toISOString(),
+    ...status,
   });
 });
 
 app.get("/", (req, res) => {
   res.json({
     message: "Welcome to the NTP Time API",
-    endpoints: ["/ntp"],
+    endpoints: ["/ntp", "/hls/:token/:songId/playlist.m3u8"],
   });
 });
 
+timeService.start();
+
 setupSocket(server);
 
+roomManager.startSupervisor();
+transcodeQueue.start();
+
+hlsSweeper.start();
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
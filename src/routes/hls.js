@@ -0,0 +1,99 @@
+import express from "express";
+import cors from "cors";
+import path from "path";
+import corsOptions from "../config/cors.js";
+import roomManager from "../services/RoomManager.js";
+import { verifyHlsToken } from "../utils/hlsToken.js";
+import {
+  HLS_PLAYLIST_MAX_AGE,
+  HLS_SEGMENT_MAX_AGE,
+} from "../constants/index.js";
+
+const router = express.Router();
+
+const HLS_CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+};
+
+router.use(
+  cors({
+    ...corsOptions,
+    methods: ["GET", "HEAD"],
+    exposedHeaders: [
+      "Content-Length",
+      "Content-Range",
+      "Accept-Ranges",
+      "ETag",
+    ],
+  })
+);
+
+// Only playlists and segments are served from the HLS directory
+router.use((req, res, next) => {
+  const ext = path.extname(req.path).toLowerCase();
+  if (!HLS_CONTENT_TYPES[ext]) {
+    return res.status(404).json({ message: "Not found" });
+  }
+  next();
+});
+
+const serveHls = express.static(roomManager.hlsOutputDir, {
+  index: false,
+  dotfiles: "ignore",
+  acceptRanges: true,
+  etag: true,
+  lastModified: true,
+  cacheControl: false,
+  setHeaders: (res, filePath) => {
+    const ext = path.extname(filePath).toLowerCase();
+    res.setHeader("Content-Type", HLS_CONTENT_TYPES[ext]);
+
+    // Segments never change once written, playlists may be rewritten
+    if (ext === ".ts") {
+      res.setHeader(
+        "Cache-Control",
+        `public, max-age=${HLS_SEGMENT_MAX_AGE}, immutable`
+      );
+    } else {
+      res.setHeader(
+        "Cache-Control",
+        `public, max-age=${HLS_PLAYLIST_MAX_AGE}, must-revalidate`
+      );
+    }
+  },
+});
+
+// Only let through tokens that are valid for a room which owns the song
+const verifyHlsAccess = async (req, res, next) => {
+  const { token, songId } = req.params;
+
+  const claims = verifyHlsToken(token);
+  if (!claims) {
+    return res.status(403).json({ message: "Invalid or expired token" });
+  }
+
+  const room = await roomManager.getRoom(claims.roomId);
+  if (!room || !room.songs[songId]) {
+    return res
+      .status(403)
+      .json({ message: "Song is not available in this room" });
+  }
+
+  if (claims.clientId && !room.clients[claims.clientId]) {
+    return res.status(403).json({ message: "Client is not in this room" });
+  }
+
+  next();
+};
+
+router.use("/:token/:songId", verifyHlsAccess, (req, res, next) => {
+  req.url = `/${req.params.songId}${req.url}`;
+  serveHls(req, res, next);
+});
+
+router.use((req, res) => {
+  res.status(404).json({ message: "Not found" });
+});
+
+export default router;
@@ -0,0 +1,31 @@
+import express from "express";
+import roomManager from "../services/RoomManager.js";
+import driftMonitor from "../services/DriftMonitor.js";
+import { requestSessionToken } from "../utils/sessionToken.js";
+
+const router = express.Router();
+
+// Only members of the room see its stats, everyone else gets the same 404
+// whether the room exists or not
+router.get("/rooms/:roomId/drift", async (req, res) => {
+  const { roomId } = req.params;
+
+  const session = await roomManager.resolveRoomSession(
+    roomId,
+    requestSessionToken(req)
+  );
+  if (!session) {
+    return res.status(404).json({ message: "Room not found" });
+  }
+
+  const { clients, ...totals } = await driftMonitor.getStats(roomId);
+  const perClient = Object.values(clients);
+  res.json({
+    roomId,
+    ...totals,
+    clients: perClient.length,
+    maxAbsDrift: Math.max(0, ...perClient.map((c) => c.maxAbsDrift)),
+  });
+});
+
+export default router;
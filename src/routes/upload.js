@@ -1,11 +1,198 @@
 import express from "express";
+import multer from "multer";
+import path from "path";
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import roomManager from "../services/RoomManager.js";
+import transcodeQueue from "../services/TranscodeQueue.js";
+import roomAccess from "../services/RoomAccess.js";
+import rateLimiter, { RATE_LIMIT_ACTIONS } from "../services/RateLimiter.js";
+import { canEmit } from "../utils/permissions.js";
+import { errorCode } from "../utils/errors.js";
+import { requestSessionToken } from "../utils/sessionToken.js";
+import {
+  ALLOWED_AUDIO_EXTENSIONS,
+  ALLOWED_AUDIO_MIME_TYPES,
+  ERROR_CODES,
+  MAX_UPLOAD_SIZE_BYTES,
+} from "../constants/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadDir = path.join(__dirname, "../uploads");
 
 const router = express.Router();
 
-router.post("/upload", (req, res) => {
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(uploadDir, { recursive: true })
+      .then(() => cb(null, uploadDir))
+      .catch(cb);
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(
+      null,
+      `upload_${Date.now()}_${Math.random().toString(36).substring(2, 9)}${ext}`
+    );
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_SIZE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (
+      !ALLOWED_AUDIO_MIME_TYPES.includes(file.mimetype) ||
+      !ALLOWED_AUDIO_EXTENSIONS.includes(ext)
+    ) {
+      const error = new Error(`Unsupported audio file type: ${file.mimetype}`);
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Run multer and turn its errors into JSON responses
+const handleAudioUpload = (req, res, next) => {
+  upload.single("audio")(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ message: err.message });
+    }
+
+    res.status(err.status || 500).json({ message: err.message });
+  });
+};
+
+// Uploads share the song-upload event's limits, checked per IP before multer
+// writes anything to disk
+const limitUploads = async (req, res, next) => {
+  let verdict = null;
+  try {
+    verdict = await rateLimiter.check("song-upload", {
+      ip: roomAccess.requestIp(req),
+    });
+  } catch (error) {
+    // Limits are best effort, a Redis hiccup should not drop the upload
+    console.error(`Error checking rate limit: ${error.message}`);
+  }
+  if (!verdict) {
+    return next();
+  }
+
+  if (verdict.action === RATE_LIMIT_ACTIONS.MUTE) {
+    return res.status(429).json({
+      code: ERROR_CODES.MUTED,
+      message: "Muted for sending too many uploads",
+      retryAfterMs: verdict.retryAfterMs,
+    });
+  }
+
+  res.status(429).json({
+    code: ERROR_CODES.RATE_LIMITED,
+    message: "Too many uploads, try again later",
+  });
+};
+
+router.post("/upload", limitUploads, handleAudioUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "Audio file is required" });
+  }
+
+  const { roomId } = req.body;
+  // Client IDs are public, only the session token proves who is uploading
+  const sessionToken = requestSessionToken(req);
+  let queued = false;
+
+  try {
+    if (!roomId) {
+      return res.status(400).json({ message: "Room ID is required" });
+    }
+
+    const room = await roomManager.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    const session = sessionToken
+      ? await roomManager.resolveSession(sessionToken)
+      : null;
+    if (!session || session.roomId !== roomId) {
+      return res.status(401).json({
+        code: ERROR_CODES.NOT_IN_ROOM,
+        message: "A session token for this room is required",
+      });
+    }
+    const { clientId } = session;
+
+    // Uploads over HTTP follow the same rules as the song-upload event
+    const role = await roomManager.getClientRole(roomId, clientId);
+    if (!canEmit(role, "song-upload")) {
+      return res.status(403).json({
+        code: ERROR_CODES.FORBIDDEN,
+        message: "Not allowed to upload songs to this room",
+      });
+    }
+
+    // Conversion runs in the background, the queue removes the file when done
+    const job = await transcodeQueue.enqueue({
+      roomId,
+      songId: await roomManager.songIdForFile(req.file.path),
+      source: req.file.path,
+      songUrl: req.file.originalname,
+      requesterId: clientId,
+      temporarySource: true,
+    });
+    queued = true;
+
+    res.status(202).json({
+      message: "File uploaded successfully",
+      jobId: job.id,
+      state: job.state,
+    });
+  } catch (error) {
+    console.error(`Error uploading song: ${error.message}`);
+    const limited = errorCode(error) === ERROR_CODES.UPLOAD_LIMIT_REACHED;
+    res.status(limited ? 429 : 500).json({
+      message: "Failed to upload song",
+      details: error.message,
+    });
+  } finally {
+    if (!queued) {
+      await fs.rm(req.file.path, { force: true });
+    }
+  }
+});
+
+// Only members of the job's room see it, and only the error code, messages
+// can carry details of the source
+router.get("/upload/:jobId", async (req, res) => {
+  const job = await transcodeQueue.getJob(req.params.jobId);
+  const session =
+    job &&
+    (await roomManager.resolveRoomSession(
+      job.roomId,
+      requestSessionToken(req)
+    ));
+  if (!session) {
+    return res.status(404).json({ message: "Job not found" });
+  }
+
   res.json({
-    message: "File uploaded successfully",
-    url: "https://res.cloudinary.com/dor4hhdzh/video/upload/v1753204341/spinning-head-271171_qoxlyz.mp3",
+    jobId: job.id,
+    roomId: job.roomId,
+    songId: job.songId,
+    state: job.state,
+    attempts: job.attempts,
+    errorCode: job.errorCode ?? null,
+    updatedAt: job.updatedAt,
   });
 });
 
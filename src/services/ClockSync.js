@@ -0,0 +1,137 @@
+import roomManager from "./RoomManager.js";
+import timeService from "./TimeService.js";
+import { sendUnicast } from "../utils/broadcast.js";
+import {
+  CLOCK_SYNC_REFRESH_MS,
+  CLOCK_SYNC_SAMPLE_INTERVAL_MS,
+  CLOCK_SYNC_SAMPLES,
+  CLOCK_SYNC_TIMEOUT_MS,
+} from "../constants/index.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class ClockSync {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  // Begin periodic sync rounds for a socket that joined a room
+  start(socket, roomId) {
+    this.stop(socket.id);
+
+    const session = {
+      roomId,
+      clientId: socket.data.clientId,
+      seq: 0,
+      pending: null,
+      timer: null,
+      stopped: false,
+    };
+    this.sessions.set(socket.id, session);
+
+    this._runRound(socket, session);
+  }
+
+  stop(socketId) {
+    const session = this.sessions.get(socketId);
+    if (!session) return;
+
+    session.stopped = true;
+    clearTimeout(session.timer);
+    if (session.pending) {
+      clearTimeout(session.pending.timer);
+      session.pending.resolve(null);
+    }
+    this.sessions.delete(socketId);
+  }
+
+  handlePong(socket, { seq, clientReceiveTime, clientSendTime }) {
+    const receivedAt = timeService.now();
+    const session = this.sessions.get(socket.id);
+    const pending = session?.pending;
+    if (!pending || pending.seq !== seq) return;
+
+    clearTimeout(pending.timer);
+    session.pending = null;
+
+    if (
+      !Number.isFinite(clientReceiveTime) ||
+      !Number.isFinite(clientSendTime)
+    ) {
+      return pending.resolve(null);
+    }
+
+    // t0..t3 as in NTP: server send, client receive, client send, server receive
+    const t0 = pending.sentAt;
+    const rtt = receivedAt - t0 - (clientSendTime - clientReceiveTime);
+    const offset = (clientReceiveTime - t0 + (clientSendTime - receivedAt)) / 2;
+
+    pending.resolve({ rtt: Math.max(0, rtt), offset });
+  }
+
+  async _runRound(socket, session) {
+    const samples = [];
+
+    for (let i = 0; i < CLOCK_SYNC_SAMPLES && !session.stopped; i++) {
+      const sample = await this._exchange(socket, session);
+      if (sample) samples.push(sample);
+      await delay(CLOCK_SYNC_SAMPLE_INTERVAL_MS);
+    }
+
+    if (session.stopped) return;
+
+    if (samples.length > 0) {
+      const timing = this._estimate(samples);
+
+      try {
+        await roomManager.updateClientTiming(
+          session.roomId,
+          session.clientId,
+          timing
+        );
+        sendUnicast(socket, "clock-synced", timing);
+      } catch (error) {
+        console.error(`Error saving clock sync for ${socket.id}:`, error);
+      }
+    }
+
+    session.timer = setTimeout(
+      () => this._runRound(socket, session),
+      CLOCK_SYNC_REFRESH_MS
+    );
+  }
+
+  _exchange(socket, session) {
+    return new Promise((resolve) => {
+      const seq = ++session.seq;
+      const sentAt = timeService.now();
+      const timer = setTimeout(() => {
+        session.pending = null;
+        resolve(null);
+      }, CLOCK_SYNC_TIMEOUT_MS);
+
+      session.pending = { seq, sentAt, timer, resolve };
+      sendUnicast(socket, "clock-ping", { seq, serverSendTime: sentAt });
+    });
+  }
+
+  // Trust the fastest round trip, it has the least queuing error
+  _estimate(samples) {
+    const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    const jitter = Math.sqrt(
+      samples.reduce((sum, s) => sum + (s.offset - best.offset) ** 2, 0) /
+        samples.length
+    );
+
+    return {
+      clockOffset: Math.round(best.offset),
+      rtt: best.rtt,
+      latency: Math.round(best.rtt / 2),
+      jitter: Math.round(jitter),
+      lastSyncTime: timeService.now(),
+    };
+  }
+}
+
+const clockSync = new ClockSync();
+export default clockSync;
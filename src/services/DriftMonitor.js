@@ -0,0 +1,129 @@
+import redis from "../config/redis.js";
+import roomManager from "./RoomManager.js";
+import timeService from "./TimeService.js";
+import { sendUnicast } from "../utils/broadcast.js";
+import {
+  DRIFT_MAX_NUDGE,
+  DRIFT_NUDGE_WINDOW_MS,
+  DRIFT_RESYNC_THRESHOLD_MS,
+  DRIFT_STATS_TTL_SECONDS,
+  DRIFT_TOLERANCE_MS,
+} from "../constants/index.js";
+
+class DriftMonitor {
+  // Compare a client's reported position with where the room should be
+  async handleReport(socket, roomId, { songId, position, clientTime }) {
+    const room = await roomManager.getRoom(roomId);
+    const client = room?.clients[socket.data.clientId];
+    if (!client || !room.isPlaying || room.currentSong !== songId) {
+      return null;
+    }
+
+    // Client clock = server clock + offset
+    const reportedAt = clientTime - (client.clockOffset || 0);
+    if (!room.playbackStartTime || reportedAt < room.playbackStartTime) {
+      return null;
+    }
+
+    const expected = roomManager._calculateCurrentPlaybackTime(
+      room,
+      reportedAt
+    );
+    const drift = position - expected;
+    const absDrift = Math.abs(drift);
+
+    let action = "none";
+    if (absDrift > DRIFT_RESYNC_THRESHOLD_MS) {
+      action = "resync";
+      const now = timeService.now();
+      sendUnicast(socket, "playback-correction", {
+        type: "resync",
+        drift,
+        songId: room.currentSong,
+        playbackStartTime: room.playbackStartTime,
+        playbackRate: room.playbackRate,
+        currentTime: roomManager._calculateCurrentPlaybackTime(room, now),
+        serverTime: now,
+        clockOffset: client.clockOffset || 0,
+      });
+    } else if (absDrift > DRIFT_TOLERANCE_MS) {
+      action = "nudge";
+      // Rate that wins back the drift over the nudge window
+      const adjustment = Math.max(
+        -DRIFT_MAX_NUDGE,
+        Math.min(DRIFT_MAX_NUDGE, -drift / DRIFT_NUDGE_WINDOW_MS)
+      );
+      sendUnicast(socket, "playback-correction", {
+        type: "nudge",
+        drift,
+        playbackRate: room.playbackRate * (1 + adjustment),
+        baseRate: room.playbackRate,
+        durationMs: DRIFT_NUDGE_WINDOW_MS,
+      });
+    }
+
+    await this._record(roomId, socket.data.clientId, drift, action);
+    return { drift, action };
+  }
+
+  async getStats(roomId) {
+    const [totals, clients] = await Promise.all([
+      redis.hgetall(this._statsKey(roomId)),
+      redis.hgetall(this._clientsKey(roomId)),
+    ]);
+
+    const reports = Number(totals.reports || 0);
+    return {
+      reports,
+      meanAbsDrift: reports ? Number(totals.sumAbsDrift) / reports : 0,
+      nudges: Number(totals.nudges || 0),
+      resyncs: Number(totals.resyncs || 0),
+      clients: Object.fromEntries(
+        Object.entries(clients).map(([id, stats]) => [id, JSON.parse(stats)])
+      ),
+    };
+  }
+
+  async _record(roomId, clientId, drift, action) {
+    const absDrift = Math.abs(drift);
+    const statsKey = this._statsKey(roomId);
+    const clientsKey = this._clientsKey(roomId);
+
+    const previous = await redis.hget(clientsKey, clientId);
+    const stats = previous
+      ? JSON.parse(previous)
+      : { reports: 0, maxAbsDrift: 0, nudges: 0, resyncs: 0 };
+
+    stats.reports += 1;
+    stats.lastDrift = drift;
+    stats.maxAbsDrift = Math.max(stats.maxAbsDrift, absDrift);
+    if (action === "nudge") stats.nudges += 1;
+    if (action === "resync") stats.resyncs += 1;
+    stats.updatedAt = Date.now();
+
+    const pipeline = redis
+      .multi()
+      .hincrby(statsKey, "reports", 1)
+      .hincrbyfloat(statsKey, "sumAbsDrift", absDrift)
+      .hset(clientsKey, clientId, JSON.stringify(stats))
+      .expire(statsKey, DRIFT_STATS_TTL_SECONDS)
+      .expire(clientsKey, DRIFT_STATS_TTL_SECONDS);
+
+    if (action !== "none") {
+      pipeline.hincrby(statsKey, `${action}s`, 1);
+    }
+
+    await pipeline.exec();
+  }
+
+  _statsKey(roomId) {
+    return `room:${roomId}:drift`;
+  }
+
+  _clientsKey(roomId) {
+    return `room:${roomId}:drift:clients`;
+  }
+}
+
+const driftMonitor = new DriftMonitor();
+export default driftMonitor;
@@ -0,0 +1,207 @@
+import fs from "fs/promises";
+import path from "path";
+import redis from "../config/redis.js";
+import roomManager from "./RoomManager.js";
+import timeService from "./TimeService.js";
+import { errorCode } from "../utils/errors.js";
+import {
+  ERROR_CODES,
+  HLS_DISK_QUOTA_BYTES,
+  HLS_ORPHAN_GRACE_MS,
+  HLS_SWEEP_INTERVAL_MS,
+} from "../constants/index.js";
+
+// Periodically deletes HLS directories no room in Redis refers to
+class HlsSweeper {
+  constructor() {
+    this.interval =
+      Number(process.env.HLS_SWEEP_INTERVAL_MS) || HLS_SWEEP_INTERVAL_MS;
+    this.grace = Number(process.env.HLS_ORPHAN_GRACE_MS) || HLS_ORPHAN_GRACE_MS;
+    this.quota =
+      Number(process.env.HLS_DISK_QUOTA_BYTES) || HLS_DISK_QUOTA_BYTES;
+    this.timer = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.sweep();
+    this.timer = setInterval(() => this.sweep(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    if (this.running) return this.lastReport;
+    this.running = true;
+
+    try {
+      const referenced = await this._referencedSongIds();
+      const entries = await this._scanOutput();
+      const now = Date.now();
+      const removed = [];
+      const kept = [];
+
+      for (const entry of entries) {
+        if (referenced.has(entry.songId) || (await this._isLocked(entry))) {
+          kept.push(entry);
+        } else if (now - entry.modifiedAt >= this.grace) {
+          await this._remove(entry, "orphaned", removed);
+        } else {
+          kept.push({ ...entry, removable: true });
+        }
+      }
+
+      // Over quota: drop the oldest unreferenced output even inside its grace
+      let totalBytes = kept.reduce((sum, entry) => sum + entry.bytes, 0);
+      const candidates = kept
+        .filter((entry) => entry.removable)
+        .sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+      for (const entry of candidates) {
+        if (totalBytes <= this.quota) break;
+        if (await this._remove(entry, "quota", removed)) {
+          totalBytes -= entry.bytes;
+        }
+      }
+
+      const report = {
+        sweptAt: now,
+        scanned: entries.length,
+        removed,
+        reclaimedBytes: removed.reduce((sum, entry) => sum + entry.bytes, 0),
+        totalBytes,
+        quotaBytes: this.quota,
+        overQuota: totalBytes > this.quota,
+      };
+
+      if (removed.length > 0) {
+        console.log(
+          `HLS sweep removed ${removed.length} directories, reclaimed ${report.reclaimedBytes} bytes`
+        );
+      }
+      if (report.overQuota) {
+        console.warn(
+          `HLS output uses ${totalBytes} bytes, above the ${this.quota} byte quota`
+        );
+      }
+
+      this.lastReport = report;
+      return report;
+    } catch (error) {
+      console.error("Error sweeping HLS output:", error);
+      return this.lastReport;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Checked again under the song lock, a room may have taken the song over
+  // since the scan. Its reference is recent, older ones were left behind by
+  // rooms that expired and no longer hold the output
+  async _remove(entry, reason, removed) {
+    const { songId } = entry;
+
+    try {
+      return await roomManager._withHLSLock(songId, async () => {
+        const refs = Number(await redis.hget("hls:refs", songId));
+        const takenAt = Number(await redis.hget("hls:refs:taken", songId));
+        if (refs > 0 && timeService.now() - takenAt < this.grace) {
+          return false;
+        }
+
+        await roomManager._cleanupHLS(songId);
+        await redis.hdel("hls:refs", songId);
+        await redis.hdel("hls:refs:taken", songId);
+        removed.push({ songId, bytes: entry.bytes, reason });
+        return true;
+      });
+    } catch (error) {
+      if (errorCode(error) === ERROR_CODES.SONG_BUSY) return false;
+      throw error;
+    }
+  }
+
+  // A conversion in progress holds the song lock
+  async _isLocked(entry) {
+    return (await redis.exists(`hls:lock:${entry.songId}`)) === 1;
+  }
+
+  async _referencedSongIds() {
+    const referenced = new Set();
+    let cursor = "0";
+
+    do {
+      const [next, keys] = await redis.scan(
+        cursor,
+        "MATCH",
+        "room:*",
+        "COUNT",
+        100
+      );
+      cursor = next;
+
+      // Skip per-room side keys such as room:<id>:drift
+      const roomKeys = keys.filter((key) => key.split(":").length === 2);
+      if (roomKeys.length === 0) continue;
+
+      for (const data of await redis.mget(roomKeys)) {
+        if (!data) continue;
+        for (const songId of Object.keys(JSON.parse(data).songs || {})) {
+          referenced.add(songId);
+        }
+      }
+    } while (cursor !== "0");
+
+    return referenced;
+  }
+
+  async _scanOutput() {
+    const dirents = await fs.readdir(roomManager.hlsOutputDir, {
+      withFileTypes: true,
+    });
+
+    const entries = [];
+    for (const dirent of dirents) {
+      if (!dirent.isDirectory()) continue;
+
+      const { bytes, modifiedAt } = await this._measure(
+        path.join(roomManager.hlsOutputDir, dirent.name)
+      );
+      entries.push({ songId: dirent.name, bytes, modifiedAt });
+    }
+
+    return entries;
+  }
+
+  // Total size and newest modification time of everything under dir
+  async _measure(dir) {
+    const stat = await fs.stat(dir);
+    let bytes = 0;
+    let modifiedAt = stat.mtimeMs;
+
+    for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+      const child = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        const nested = await this._measure(child);
+        bytes += nested.bytes;
+        modifiedAt = Math.max(modifiedAt, nested.modifiedAt);
+      } else {
+        const childStat = await fs.stat(child);
+        bytes += childStat.size;
+        modifiedAt = Math.max(modifiedAt, childStat.mtimeMs);
+      }
+    }
+
+    return { bytes, modifiedAt };
+  }
+}
+
+const hlsSweeper = new HlsSweeper();
+export default hlsSweeper;
@@ -0,0 +1,296 @@
+import dns from "dns/promises";
+import fs from "fs/promises";
+import { createWriteStream } from "fs";
+import http from "http";
+import https from "https";
+import net from "net";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import ffmpeg from "fluent-ffmpeg";
+import ffprobePath from "@ffprobe-installer/ffprobe";
+import { AppError } from "../utils/errors.js";
+import {
+  ERROR_CODES,
+  INGEST_BLOCKED_SUBNETS,
+  INGEST_MAX_DURATION_SECONDS,
+  INGEST_MAX_REDIRECTS,
+  INGEST_MAX_SIZE_BYTES,
+  INGEST_TIMEOUT_MS,
+} from "../constants/index.js";
+
+ffmpeg.setFfprobePath(ffprobePath.path);
+
+const URL_PROTOCOLS = ["http:", "https:"];
+
+// Decides what ffmpeg may read. URLs must be http(s) on a public address
+// and are downloaded here, so ffmpeg only ever reads local files. Every
+// source is probed for audio of acceptable length and size before it is
+// transcoded
+class IngestGuard {
+  constructor() {
+    this.allowPrivateNetworks =
+      process.env.INGEST_ALLOW_PRIVATE_NETWORKS === "true";
+    this.maxDuration =
+      Number(process.env.INGEST_MAX_DURATION_SECONDS) ||
+      INGEST_MAX_DURATION_SECONDS;
+    this.maxSize =
+      Number(process.env.INGEST_MAX_SIZE_BYTES) || INGEST_MAX_SIZE_BYTES;
+
+    this.blockList = new net.BlockList();
+    for (const [address, prefix, type] of INGEST_BLOCKED_SUBNETS) {
+      this.blockList.addSubnet(address, prefix, type);
+    }
+
+    // Connections resolve through this, so the address that was checked is
+    // the one connected to
+    this.lookup = this.allowPrivateNetworks
+      ? undefined
+      : (hostname, options, callback) => {
+          this._resolve(hostname)
+            .then((addresses) =>
+              options.all
+                ? callback(null, addresses)
+                : callback(null, addresses[0].address, addresses[0].family)
+            )
+            .catch((error) => callback(error));
+        };
+  }
+
+  // Cheap checks, done before a URL is queued and again for every redirect
+  async checkUrl(audioUrl) {
+    let url;
+    try {
+      url = new URL(audioUrl);
+    } catch {
+      throw new AppError(
+        ERROR_CODES.SOURCE_NOT_ALLOWED,
+        "Source not allowed: not a valid URL"
+      );
+    }
+
+    if (!URL_PROTOCOLS.includes(url.protocol)) {
+      throw new AppError(
+        ERROR_CODES.SOURCE_NOT_ALLOWED,
+        `Source not allowed: ${url.protocol} URLs are not supported`
+      );
+    }
+
+    if (!this.allowPrivateNetworks) {
+      // IPv6 literals keep their brackets in the hostname
+      await this._resolve(url.hostname.replace(/^\[|\]$/g, ""));
+    }
+
+    return url;
+  }
+
+  // Returns the file ffmpeg should read, a download for URLs, along with
+  // the probed duration in milliseconds. Downloads are marked temporary
+  // and belong to the caller
+  async inspect(source, { local = false } = {}) {
+    if (local) {
+      const { size } = await fs.stat(source);
+      this._checkSize(size);
+      return { source, ...(await this._probeAudio(source)) };
+    }
+
+    const file = await this._download(source);
+    try {
+      return {
+        source: file,
+        temporary: true,
+        ...(await this._probeAudio(file)),
+      };
+    } catch (error) {
+      await fs.rm(file, { force: true });
+      throw error;
+    }
+  }
+
+  async _probeAudio(file) {
+    const probe = await this._probe(file);
+
+    // Cover art shows up as a video stream marked as an attached picture
+    const audio = probe.streams.filter((s) => s.codec_type === "audio");
+    const other = probe.streams.filter(
+      (s) => s.codec_type !== "audio" && !s.disposition?.attached_pic
+    );
+    if (audio.length === 0 || other.length > 0) {
+      throw new AppError(
+        ERROR_CODES.SOURCE_NOT_AUDIO,
+        "Source is not audio: it has no or non-audio streams"
+      );
+    }
+
+    const duration = Number(probe.format.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new AppError(
+        ERROR_CODES.SOURCE_TOO_LONG,
+        "Source is too long: streams without an end are refused"
+      );
+    }
+    if (duration > this.maxDuration) {
+      throw new AppError(
+        ERROR_CODES.SOURCE_TOO_LONG,
+        `Source is too long: ${Math.round(duration)}s, the limit is ${
+          this.maxDuration
+        }s`
+      );
+    }
+
+    return { duration: duration * 1000 };
+  }
+
+  // Keep ffmpeg to local files, so playlists or containers cannot point it
+  // anywhere else, and cap what it reads
+  inputOptions() {
+    return ["-protocol_whitelist", "file", "-t", String(this.maxDuration)];
+  }
+
+  async _resolve(hostname) {
+    let addresses;
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+      throw new AppError(
+        ERROR_CODES.SOURCE_UNREACHABLE,
+        `Source unreachable: cannot resolve ${hostname}`
+      );
+    }
+
+    const blocked = addresses.some(({ address, family }) =>
+      this.blockList.check(address, family === 6 ? "ipv6" : "ipv4")
+    );
+    if (blocked) {
+      throw new AppError(
+        ERROR_CODES.SOURCE_NOT_ALLOWED,
+        "Source not allowed: it points at a private network"
+      );
+    }
+
+    return addresses;
+  }
+
+  // Redirects are followed here so every hop gets checked, and the body is
+  // capped as it streams in since servers need not send a length
+  async _download(source) {
+    let url = source;
+
+    for (let hop = 0; hop <= INGEST_MAX_REDIRECTS; hop++) {
+      const response = await this._get(await this.checkUrl(url));
+
+      const { location } = response.headers;
+      if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+        response.resume();
+        url = new URL(location, url).href;
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new AppError(
+          ERROR_CODES.SOURCE_UNREACHABLE,
+          `Source unreachable: HTTP ${response.statusCode}`
+        );
+      }
+
+      const length = Number(response.headers["content-length"]);
+      if (length) {
+        try {
+          this._checkSize(length);
+        } catch (error) {
+          response.destroy();
+          throw error;
+        }
+      }
+
+      const file = path.join(os.tmpdir(), `ingest_${crypto.randomUUID()}`);
+      let size = 0;
+      const limit = new Transform({
+        transform: (chunk, encoding, callback) => {
+          size += chunk.length;
+          try {
+            this._checkSize(size);
+            callback(null, chunk);
+          } catch (error) {
+            callback(error);
+          }
+        },
+      });
+
+      try {
+        await pipeline(response, limit, createWriteStream(file));
+      } catch (error) {
+        await fs.rm(file, { force: true });
+        throw this._fetchError(error);
+      }
+      return file;
+    }
+
+    throw new AppError(
+      ERROR_CODES.SOURCE_NOT_ALLOWED,
+      "Source not allowed: too many redirects"
+    );
+  }
+
+  _get(url) {
+    const client = url.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = client.get(
+        url,
+        { lookup: this.lookup, timeout: INGEST_TIMEOUT_MS },
+        resolve
+      );
+      // Fires whenever the socket idles, so a stalled body aborts too
+      request.on("timeout", () =>
+        request.destroy(new Error(`no data for ${INGEST_TIMEOUT_MS}ms`))
+      );
+      request.on("error", (error) => reject(this._fetchError(error)));
+    });
+  }
+
+  // Our own refusals keep their message, anything else the network threw
+  // means the source could not be reached
+  _fetchError(error) {
+    return error instanceof AppError
+      ? error
+      : new AppError(
+          ERROR_CODES.SOURCE_UNREACHABLE,
+          `Source unreachable: ${error.message}`
+        );
+  }
+
+  _probe(source) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(source, ["-protocol_whitelist", "file"], (error, data) => {
+        if (error) {
+          // The message carries all of ffprobe's output, the cause is last
+          const cause = error.message.trim().split("\n").pop();
+          console.error(`ffprobe failed for ${source}: ${cause}`);
+          reject(
+            new AppError(
+              ERROR_CODES.SOURCE_NOT_AUDIO,
+              "Source is not audio: it could not be read"
+            )
+          );
+          return;
+        }
+        resolve(data);
+      });
+    });
+  }
+
+  _checkSize(size) {
+    if (size > this.maxSize) {
+      throw new AppError(
+        ERROR_CODES.SOURCE_TOO_LARGE,
+        `Source is too large: ${size} bytes, the limit is ${this.maxSize}`
+      );
+    }
+  }
+}
+
+const ingestGuard = new IngestGuard();
+export default ingestGuard;
@@ -0,0 +1,151 @@
+import redis from "../config/redis.js";
+import timeService from "./TimeService.js";
+import {
+  RATE_LIMIT_DISCONNECT_AFTER_STRIKES,
+  RATE_LIMIT_MUTE_AFTER_STRIKES,
+  RATE_LIMIT_MUTE_MS,
+  RATE_LIMIT_STRIKE_COOLDOWN_MS,
+  RATE_LIMIT_STRIKE_WINDOW_SECONDS,
+  RATE_LIMIT_UNMUTED_EVENTS,
+  RATE_LIMITS,
+} from "../constants/index.js";
+
+export const RATE_LIMIT_ACTIONS = {
+  THROTTLE: "throttle",
+  WARN: "warn",
+  MUTE: "mute",
+  DISCONNECT: "disconnect",
+};
+
+// Refill the bucket in KEYS[1] for the time since its last use and take a
+// token if there is one. ARGV: burst, tokens per second, now in ms
+const TAKE_TOKEN = `
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "updatedAt")
+local burst = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local tokens = tonumber(bucket[1]) or burst
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - updatedAt) * rate / 1000)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updatedAt", ARGV[3])
+redis.call("PEXPIRE", KEYS[1], math.ceil(burst / rate * 1000))
+return allowed
+`;
+
+redis.defineCommand("takeRateLimitToken", {
+  numberOfKeys: 1,
+  lua: TAKE_TOKEN,
+});
+
+// Token bucket limits for socket events, kept in Redis so a client is held
+// to the same limits whichever instance it is connected to
+class RateLimiter {
+  constructor() {
+    this.limits = { ...RATE_LIMITS };
+
+    // Overrides only need the settings they change
+    for (const [event, limit] of Object.entries(this._parseOverrides())) {
+      this.limits[event] = {
+        ...(RATE_LIMITS[event] || RATE_LIMITS.default),
+        ...limit,
+      };
+    }
+  }
+
+  // Returns null when the event may go ahead, otherwise what to do with a
+  // client that went over its limit
+  async check(event, { socketId, ip }) {
+    // A socket is muted for its own floods, and along with every other
+    // socket on its IP for floods of IP scoped events
+    if (!RATE_LIMIT_UNMUTED_EVENTS.includes(event)) {
+      const mutedFor = Math.max(
+        await redis.pttl(this._muteKey(`socket:${socketId}`)),
+        await redis.pttl(this._muteKey(`ip:${ip}`))
+      );
+      if (mutedFor > 0) {
+        return { action: RATE_LIMIT_ACTIONS.MUTE, retryAfterMs: mutedFor };
+      }
+    }
+
+    const limit = this.limits[event] || this.limits.default;
+    const subject = limit.scope === "ip" ? `ip:${ip}` : `socket:${socketId}`;
+    const allowed = await redis.takeRateLimitToken(
+      this._bucketKey(event, subject),
+      limit.burst,
+      limit.perSecond,
+      timeService.now()
+    );
+    if (allowed) return null;
+
+    return this._strike(subject);
+  }
+
+  // The offender is the subject of the bucket that overflowed
+  async _strike(offender) {
+    // A flood only counts once per cooldown, the rest is just dropped
+    const counted = await redis.set(
+      this._cooldownKey(offender),
+      "1",
+      "PX",
+      RATE_LIMIT_STRIKE_COOLDOWN_MS,
+      "NX"
+    );
+    if (!counted) return { action: RATE_LIMIT_ACTIONS.THROTTLE };
+
+    const key = this._strikesKey(offender);
+    const strikes = await redis.incr(key);
+    if (strikes === 1) {
+      await redis.expire(key, RATE_LIMIT_STRIKE_WINDOW_SECONDS);
+    }
+
+    if (strikes >= RATE_LIMIT_DISCONNECT_AFTER_STRIKES) {
+      return { action: RATE_LIMIT_ACTIONS.DISCONNECT, strikes };
+    }
+
+    if (strikes >= RATE_LIMIT_MUTE_AFTER_STRIKES) {
+      await redis.set(this._muteKey(offender), "1", "PX", RATE_LIMIT_MUTE_MS);
+      return {
+        action: RATE_LIMIT_ACTIONS.MUTE,
+        retryAfterMs: RATE_LIMIT_MUTE_MS,
+        strikes,
+      };
+    }
+
+    return { action: RATE_LIMIT_ACTIONS.WARN, strikes };
+  }
+
+  _parseOverrides() {
+    if (!process.env.RATE_LIMITS) return {};
+
+    try {
+      return JSON.parse(process.env.RATE_LIMITS);
+    } catch (error) {
+      console.error(`Ignoring invalid RATE_LIMITS: ${error.message}`);
+      return {};
+    }
+  }
+
+  _bucketKey(event, subject) {
+    return `ratelimit:${event}:${subject}`;
+  }
+
+  _strikesKey(offender) {
+    return `ratelimit:strikes:${offender}`;
+  }
+
+  _cooldownKey(offender) {
+    return `ratelimit:cooldown:${offender}`;
+  }
+
+  _muteKey(offender) {
+    return `ratelimit:mute:${offender}`;
+  }
+}
+
+const rateLimiter = new RateLimiter();
+export default rateLimiter;
@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import redis from "../config/redis.js";
+import timeService from "./TimeService.js";
+import { AppError } from "../utils/errors.js";
+import {
+  ERROR_CODES,
+  INVITE_TTL_MINUTES,
+  JOIN_FAILURE_WINDOW_SECONDS,
+  JOIN_MAX_FAILURES,
+} from "../constants/index.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Passcodes, invite tokens and brute force protection for joining rooms
+class RoomAccess {
+  async hashPasscode(passcode) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(passcode, salt, 32);
+    return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+  }
+
+  async verifyPasscode(passcode, passcodeHash) {
+    if (typeof passcode !== "string" || !passcodeHash) return false;
+
+    const [, salt, expected] = passcodeHash.split(":");
+    const hash = await scrypt(passcode, Buffer.from(salt, "hex"), 32);
+    return crypto.timingSafeEqual(hash, Buffer.from(expected, "hex"));
+  }
+
+  // Returns an error code when the room wants a passcode it did not get
+  async checkPasscode(room, passcode) {
+    if (!room.passcodeHash) return null;
+    if (!passcode) return "PASSCODE_REQUIRED";
+
+    return (await this.verifyPasscode(passcode, room.passcodeHash))
+      ? null
+      : "INVALID_PASSCODE";
+  }
+
+  async createInvite(roomId, createdBy, ttlMinutes = INVITE_TTL_MINUTES) {
+    const minutes = Math.min(
+      Math.max(1, Number(ttlMinutes) || INVITE_TTL_MINUTES),
+      INVITE_TTL_MINUTES
+    );
+    const token = crypto.randomBytes(24).toString("base64url");
+    const invite = {
+      token,
+      roomId,
+      createdBy,
+      createdAt: timeService.now(),
+      expiresAt: timeService.now() + minutes * 60 * 1000,
+    };
+
+    await redis
+      .multi()
+      .set(this._inviteKey(token), JSON.stringify(invite), "EX", minutes * 60)
+      .sadd(this._roomInvitesKey(roomId), token)
+      .expire(this._roomInvitesKey(roomId), INVITE_TTL_MINUTES * 60)
+      .exec();
+
+    return invite;
+  }
+
+  async resolveInvite(token) {
+    if (typeof token !== "string") return null;
+
+    const invite = await redis.get(this._inviteKey(token));
+    return invite ? JSON.parse(invite) : null;
+  }
+
+  async listInvites(roomId) {
+    const tokens = await redis.smembers(this._roomInvitesKey(roomId));
+    if (tokens.length === 0) return [];
+
+    const invites = await redis.mget(tokens.map((t) => this._inviteKey(t)));
+    const expired = tokens.filter((token, i) => !invites[i]);
+    if (expired.length > 0) {
+      await redis.srem(this._roomInvitesKey(roomId), ...expired);
+    }
+
+    return invites.filter(Boolean).map((invite) => JSON.parse(invite));
+  }
+
+  async revokeInvite(roomId, token) {
+    const invite = await this.resolveInvite(token);
+    if (!invite || invite.roomId !== roomId) {
+      throw new AppError(ERROR_CODES.INVITE_NOT_FOUND, "Invite not found");
+    }
+
+    await redis
+      .multi()
+      .del(this._inviteKey(token))
+      .srem(this._roomInvitesKey(roomId), token)
+      .exec();
+  }
+
+  async revokeAllInvites(roomId) {
+    const tokens = await redis.smembers(this._roomInvitesKey(roomId));
+    await redis.del(
+      this._roomInvitesKey(roomId),
+      ...tokens.map((token) => this._inviteKey(token))
+    );
+  }
+
+  // Failed joins are counted per IP within a fixed window
+  async isThrottled(ip) {
+    const failures = Number(await redis.get(this._failuresKey(ip)));
+    return failures >= JOIN_MAX_FAILURES;
+  }
+
+  async recordFailure(ip) {
+    const key = this._failuresKey(ip);
+    const failures = await redis.incr(key);
+    if (failures === 1) {
+      await redis.expire(key, JOIN_FAILURE_WINDOW_SECONDS);
+    }
+    return failures;
+  }
+
+  clientIp(socket) {
+    return this._forwardedIp(
+      socket.handshake.headers["x-forwarded-for"],
+      socket.handshake.address
+    );
+  }
+
+  requestIp(req) {
+    return this._forwardedIp(
+      req.get("x-forwarded-for"),
+      req.socket.remoteAddress
+    );
+  }
+
+  // Each trusted proxy appends the address it saw, so the client's address
+  // is TRUST_PROXY_HOPS entries from the right. Anything to the left of it
+  // was sent by the client and can't be trusted.
+  _forwardedIp(forwarded, address) {
+    if (process.env.TRUST_PROXY !== "true" || !forwarded) {
+      return address;
+    }
+
+    const hops = Math.max(1, Number(process.env.TRUST_PROXY_HOPS) || 1);
+    const entries = forwarded.split(",").map((entry) => entry.trim());
+    return entries.length >= hops ? entries[entries.length - hops] : address;
+  }
+
+  _inviteKey(token) {
+    return `invite:${token}`;
+  }
+
+  _roomInvitesKey(roomId) {
+    return `room:${roomId}:invites`;
+  }
+
+  _failuresKey(ip) {
+    return `join-failures:${ip}`;
+  }
+}
+
+const roomAccess = new RoomAccess();
+export default roomAccess;
@@ -1,24 +1,180 @@
 import redis from "../config/redis.js";
-import { RADIUS } from "../constants/index.js";
+import {
+  CLIENT_STATUS,
+  ERROR_CODES,
+  HLS_BITRATE_LADDER,
+  AUDIO_CHANNELS,
+  HLS_LOCK_HEARTBEAT_MS,
+  HLS_LOCK_RETRY_MS,
+  HLS_LOCK_TTL_MS,
+  HLS_LOCK_WAIT_MS,
+  LAYOUT_MODES,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+  PERSISTENT_ROOM_TTL_MS,
+  RECONNECT_GRACE_MS,
+  ROLES,
+  ROOM_ACTIVE_TTL_MS,
+  ROOM_EMPTY_TTL_MINUTES,
+  ROOM_MAX_EMPTY_TTL_MINUTES,
+  ROOM_SUPERVISOR_INTERVAL_MS,
+  ROOM_TICKER_LEASE_MS,
+  ROOM_UPDATE_MAX_ATTEMPTS,
+  SESSION_TTL_SECONDS,
+  TRAJECTORY_FRAME_MS,
+} from "../constants/index.js";
 import ffmpeg from "fluent-ffmpeg";
 import path from "path";
 import fs from "fs/promises";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import ffmpegPath from "@ffmpeg-installer/ffmpeg";
+import { AppError } from "../utils/errors.js";
+import { signHlsUrl } from "../utils/hlsToken.js";
+import { hashFile, hashUrl } from "../utils/contentHash.js";
+import { acquireLease, releaseLease, renewLease } from "../utils/lease.js";
+import { createTrajectory, trajectoryPosition } from "../utils/trajectory.js";
+import {
+  channelMix,
+  createSpatialConfig,
+  DEFAULT_SPATIAL_CONFIG,
+  distanceGain,
+  roomSpatialConfig,
+  stereoPan,
+} from "../utils/spatial.js";
+import {
+  DEFAULT_LAYOUT,
+  placeClients,
+  rememberSeat,
+  roomLayout,
+  seatClient,
+} from "../utils/layout.js";
+import timeService from "./TimeService.js";
+import roomAccess from "./RoomAccess.js";
+import ingestGuard from "./IngestGuard.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 ffmpeg.setFfmpegPath(ffmpegPath.path);
 
+const HLS_REFS_KEY = "hls:refs";
+// When each song's latest reference was taken
+const HLS_REFS_TAKEN_KEY = "hls:refs:taken";
+const HLS_META_FILE = "meta.json";
+const ACTIVE_ROOMS_KEY = "rooms:active";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Returned by an updateRoom mutator to delete the room instead of saving it
+const DELETE_ROOM = Symbol("deleteRoom");
+
+// Write ARGV[2] with a TTL of ARGV[3] ms only if the room still holds
+// ARGV[1], an empty ARGV[2] deletes it
+const COMPARE_AND_SET_ROOM = `
+if redis.call("GET", KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+if ARGV[2] == "" then
+  redis.call("DEL", KEYS[1])
+else
+  redis.call("SET", KEYS[1], ARGV[2], "PX", ARGV[3])
+end
+return 1
+`;
+
+redis.defineCommand("compareAndSetRoom", {
+  numberOfKeys: 1,
+  lua: COMPARE_AND_SET_ROOM,
+});
+
 class RoomManager {
   constructor() {
-    this.sockets = new Map();
+    this.io = null;
+    this.supervisor = null;
+    this.reconnectGrace =
+      Number(process.env.RECONNECT_GRACE_MS) || RECONNECT_GRACE_MS;
+    this.emptyTtlMinutes = process.env.ROOM_EMPTY_TTL_MINUTES
+      ? Number(process.env.ROOM_EMPTY_TTL_MINUTES)
+      : ROOM_EMPTY_TTL_MINUTES;
     this.intervals = new Map();
     this.syncIntervals = new Map();
+    this.advancingRooms = new Set();
     this.hlsOutputDir = path.join(__dirname, "../public/hls");
     this._ensureHLSDirectory();
   }
 
+  setIO(io) {
+    this.io = io;
+
+    // Another instance changed a room this one may be ticking
+    io.on("supervise-room", (roomId) => this._superviseRoom(roomId));
+  }
+
+  // Claim rooms nobody is ticking and keep the leases of our own alive, so
+  // a room's tickers move to a surviving instance when its owner dies
+  startSupervisor() {
+    if (this.supervisor) return;
+
+    this.supervisor = setInterval(async () => {
+      try {
+        const roomIds = await redis.smembers(ACTIVE_ROOMS_KEY);
+        for (const roomId of roomIds) {
+          await this._superviseRoom(roomId);
+        }
+      } catch (error) {
+        console.error("Error supervising rooms:", error);
+      }
+    }, ROOM_SUPERVISOR_INTERVAL_MS);
+    this.supervisor.unref();
+  }
+
+  async _superviseRoom(roomId) {
+    const room = await this.getRoom(roomId);
+    if (!room || Object.keys(room.clients).length === 0) {
+      // Empty rooms are left to expire, joining puts them back in the set
+      this._stopTickers(roomId);
+      await redis.srem(ACTIVE_ROOMS_KEY, roomId);
+      return;
+    }
+
+    const leaseKey = this._tickerLeaseKey(roomId);
+    const owned =
+      (await acquireLease(leaseKey, ROOM_TICKER_LEASE_MS)) ||
+      (await renewLease(leaseKey, ROOM_TICKER_LEASE_MS));
+
+    if (!owned) {
+      this._stopTickers(roomId);
+      return;
+    }
+
+    // Keep the room alive for as long as a live instance is ticking it
+    await redis.pexpire(this._roomKey(roomId), this._roomTtl(room));
+
+    if (!this.syncIntervals.has(roomId)) {
+      this.startSyncBroadcast(roomId);
+    }
+    if (room.spatialEnabled && !this.intervals.has(roomId)) {
+      this.startSpatialAudio(roomId);
+    }
+  }
+
+  // Ask every instance, this one included, to re-check a room's tickers
+  async _nudgeTickers(roomId) {
+    this.io?.serverSideEmit("supervise-room", roomId);
+    await this._superviseRoom(roomId);
+  }
+
+  _stopTickers(roomId) {
+    if (this.intervals.has(roomId)) {
+      clearInterval(this.intervals.get(roomId));
+      this.intervals.delete(roomId);
+    }
+    if (this.syncIntervals.has(roomId)) {
+      clearInterval(this.syncIntervals.get(roomId));
+      this.syncIntervals.delete(roomId);
+    }
+  }
+
   async _ensureHLSDirectory() {
     try {
       await fs.mkdir(this.hlsOutputDir, { recursive: true });
@@ -27,10 +183,28 @@ class RoomManager {
     }
   }
 
-  async initRoom(roomId) {
+  // Create the room unless it already exists, returns null in that case
+  async initRoom(
+    roomId,
+    ownerId = null,
+    {
+      name = null,
+      persistent = false,
+      emptyTtlMinutes,
+      passcodeHash = null,
+    } = {}
+  ) {
     const room = {
+      name,
+      persistent,
+      passcodeHash,
+      emptyTtlMinutes: this._clampEmptyTtl(emptyTtlMinutes),
+      createdAt: timeService.now(),
+      ownerId,
+      coHosts: [],
       clients: {},
       songs: {},
+      queue: [],
       currentSong: null,
       songElapsedTime: 0,
       songStartTime: null,
@@ -39,22 +213,85 @@ class RoomManager {
       serverTime: null,
       soundSource: { x: 0, y: 0 },
       spatialEnabled: false,
+      trajectory: null,
+      layout: DEFAULT_LAYOUT,
+      seats: {},
+      spatialConfig: DEFAULT_SPATIAL_CONFIG,
       hlsUrl: null,
       playbackRate: 1.0,
     };
-    await redis.set(this._roomKey(roomId), JSON.stringify(room));
-    return room;
+    const created = await redis.set(
+      this._roomKey(roomId),
+      JSON.stringify(room),
+      "PX",
+      this._roomTtl(room),
+      "NX"
+    );
+    return created ? room : null;
   }
 
-  async createRoom() {
+  async createRoom(ownerId, options = {}) {
     let roomId;
     do {
-      roomId = Math.floor(Math.random() * 900000).toString();
-    } while (await redis.exists(this._roomKey(roomId)));
-    await this.initRoom(roomId);
+      roomId = crypto.randomInt(100000, 1000000).toString();
+    } while (!(await this.initRoom(roomId, ownerId, options)));
     return roomId;
   }
 
+  // Delete the room for everyone, whoever is still in it
+  async closeRoom(roomId) {
+    const room = await this.updateRoom(roomId, () => DELETE_ROOM);
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    await this._teardownRoom(roomId, room);
+  }
+
+  async setPasscodeHash(roomId, passcodeHash) {
+    const room = await this.updateRoom(roomId, (room) => {
+      room.passcodeHash = passcodeHash;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+  }
+
+  async _teardownRoom(roomId, room) {
+    // Tickers elsewhere notice the missing room on their next tick
+    this._stopTickers(roomId);
+    await releaseLease(this._tickerLeaseKey(roomId));
+    await redis.srem(ACTIVE_ROOMS_KEY, roomId);
+    await roomAccess.revokeAllInvites(roomId);
+    await this._releaseSongs(Object.keys(room.songs));
+  }
+
+  // How long the room key lives unless it is written or renewed again.
+  // Rooms that expire this way leave their HLS output to the sweeper
+  _roomTtl(room) {
+    if (room.persistent) {
+      return PERSISTENT_ROOM_TTL_MS;
+    }
+
+    if (Object.keys(room.clients).length > 0) {
+      return ROOM_ACTIVE_TTL_MS;
+    }
+
+    // Rooms that close with their last client still give a new room's
+    // creator time to join
+    return room.emptyTtlMinutes > 0
+      ? room.emptyTtlMinutes * 60 * 1000
+      : ROOM_ACTIVE_TTL_MS;
+  }
+
+  _clampEmptyTtl(minutes) {
+    if (!Number.isFinite(minutes)) {
+      return this.emptyTtlMinutes;
+    }
+
+    return Math.min(Math.max(0, minutes), ROOM_MAX_EMPTY_TTL_MINUTES);
+  }
+
   async getRoom(roomId) {
     const room = await redis.get(this._roomKey(roomId));
     return room ? JSON.parse(room) : null;
@@ -70,183 +307,559 @@ class RoomManager {
       id,
       username: client.username,
       position: client.position,
+      role: this._getRole(room, id),
+      status: client.status,
     }));
   }
 
-  async getSongs(roomId) {
+  async getClientRole(roomId, clientId) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+
+    return this._getRole(room, clientId);
+  }
+
+  _getRole(room, clientId) {
+    if (room.ownerId === clientId) return ROLES.OWNER;
+    if (room.coHosts.includes(clientId)) return ROLES.COHOST;
+    if (room.clients[clientId]) return ROLES.LISTENER;
+    return null;
+  }
+
+  async transferOwnership(roomId, clientId) {
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.clients[clientId]) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, "Client not found");
+      }
+
+      // The previous owner keeps control of playback as a co-host
+      if (room.ownerId && room.ownerId !== clientId) {
+        room.coHosts.push(room.ownerId);
+      }
+      room.coHosts = room.coHosts.filter((id) => id !== clientId);
+      room.ownerId = clientId;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return { ownerId: room.ownerId, coHosts: room.coHosts };
+  }
+
+  async grantCoHost(roomId, clientId) {
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.clients[clientId]) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, "Client not found");
+      }
+
+      if (room.ownerId !== clientId && !room.coHosts.includes(clientId)) {
+        room.coHosts.push(clientId);
+      }
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return { ownerId: room.ownerId, coHosts: room.coHosts };
+  }
+
+  async revokeCoHost(roomId, clientId) {
+    const room = await this.updateRoom(roomId, (room) => {
+      room.coHosts = room.coHosts.filter((id) => id !== clientId);
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return { ownerId: room.ownerId, coHosts: room.coHosts };
+  }
+
+  // Hand the room to a co-host, or the longest-standing listener
+  _reassignOwner(room) {
+    const candidates = Object.entries(room.clients).sort(
+      ([, a], [, b]) => a.joinedAt - b.joinedAt
+    );
+    const next =
+      candidates.find(([id]) => room.coHosts.includes(id)) || candidates[0];
+
+    room.ownerId = next ? next[0] : null;
+    room.coHosts = room.coHosts.filter((id) => id !== room.ownerId);
+  }
+
+  async getSongs(roomId, clientId) {
     const room = await this.getRoom(roomId);
     if (!room) {
       return [];
     }
 
-    return Object.entries(room.songs).map(([id, song]) => ({
-      id,
+    return Object.keys(room.songs).map((id) =>
+      this._serializeSong(roomId, room, id, clientId)
+    );
+  }
+
+  // Song as sent to clients, with an HLS URL signed for this room
+  _serializeSong(roomId, room, songId, clientId) {
+    const song = room.songs[songId];
+    return {
+      id: songId,
       songUrl: song.songUrl,
-      hlsUrl: song.hlsUrl,
+      hlsUrl: signHlsUrl(song.hlsUrl, { roomId, clientId }),
       uploadedAt: song.uploadedAt,
       duration: song.duration,
-    }));
+    };
   }
 
-  async saveRoom(roomId, room) {
-    await redis.set(this._roomKey(roomId), JSON.stringify(room));
+  // Read-modify-write a room without losing concurrent updates. The mutator
+  // changes the room in place and is re-run on a fresh copy whenever someone
+  // else wrote in between, so it must not have side effects of its own.
+  // Resolves to the saved room, or null when the room does not exist
+  async updateRoom(roomId, mutator) {
+    const key = this._roomKey(roomId);
+
+    for (let attempt = 0; attempt < ROOM_UPDATE_MAX_ATTEMPTS; attempt++) {
+      const data = await redis.get(key);
+      if (!data) {
+        return null;
+      }
+
+      const room = JSON.parse(data);
+      const next =
+        (await mutator(room)) === DELETE_ROOM ? "" : JSON.stringify(room);
+
+      if (await redis.compareAndSetRoom(key, data, next, this._roomTtl(room))) {
+        return room;
+      }
+
+      // Back off a little so competing writers spread out
+      await delay(Math.random() * 10 * (attempt + 1));
+    }
+
+    throw new AppError(ERROR_CODES.ROOM_BUSY, "Room is busy, try again");
   }
 
-  async addClient({ roomId, username, clientId, socket }) {
-    let room = await this.getRoom(roomId);
+  async addClient({ roomId, username, clientId, socketId = clientId }) {
+    // Usernames are only labels, a fresh join never takes over another
+    // client's entry or role. Reconnects go through resumeClient
+    const room = await this.updateRoom(roomId, (room) => {
+      room.clients[clientId] = {
+        username,
+        slot: null,
+        position: { x: 0, y: 0 },
+        channel: AUDIO_CHANNELS.BOTH,
+        joinedAt: timeService.now(),
+        lastSyncTime: timeService.now(),
+        latency: 0,
+        rtt: 0,
+        jitter: 0,
+        clockOffset: 0,
+        status: CLIENT_STATUS.CONNECTED,
+        awaySince: null,
+        socketId,
+      };
+
+      if (!room.ownerId) {
+        room.ownerId = clientId;
+      }
+
+      seatClient(room, clientId);
+    });
     if (!room) {
-      room = await this.initRoom(roomId);
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
-    // Remove existing client with same username
-    for (const [id, client] of Object.entries(room.clients)) {
-      if (client.username === username) {
-        delete room.clients[id];
-        this.sockets.delete(id);
+    await this.broadCastSpatialUpdate(roomId, room);
+
+    // Start sync for this room unless another instance already runs it
+    await redis.sadd(ACTIVE_ROOMS_KEY, roomId);
+    await this._superviseRoom(roomId);
+
+    return this._joinData(roomId, room, clientId);
+  }
+
+  // Hand an away client's slot to the socket that reconnected for it
+  async resumeClient({ roomId, clientId, socketId }) {
+    const room = await this.updateRoom(roomId, (room) => {
+      const client = room.clients[clientId];
+      if (!client) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, "Client not found");
       }
+
+      client.status = CLIENT_STATUS.CONNECTED;
+      client.awaySince = null;
+      client.socketId = socketId;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
-    room.clients[clientId] = {
-      username,
-      position: { x: 0, y: 0 },
-      joinedAt: Date.now(),
-      lastSyncTime: Date.now(),
-      latency: 0,
-    };
+    await this.broadCastSpatialUpdate(roomId, room);
+    await redis.sadd(ACTIVE_ROOMS_KEY, roomId);
+    await this._superviseRoom(roomId);
+
+    return this._joinData(roomId, room, clientId);
+  }
 
-    this.sockets.set(clientId, socket);
-    this.updateClientPositions(room);
-    await this.saveRoom(roomId, room);
-    await this.broadCastSpatialUpdate(room);
+  // Keep a dropped client's slot until the grace period runs out. Ignored
+  // when another socket has already resumed the client
+  async markClientAway({ roomId, clientId, socketId }) {
+    let marked = false;
+    await this.updateRoom(roomId, (room) => {
+      const client = room.clients[clientId];
+      marked = Boolean(client) && client.socketId === socketId;
+      if (!marked) return;
+
+      client.status = CLIENT_STATUS.AWAY;
+      client.awaySince = timeService.now();
+    });
 
-    // Start sync for this room if not already started
-    if (!this.syncIntervals.has(roomId)) {
-      this.startSyncBroadcast(roomId);
+    return marked;
+  }
+
+  async _expireAwayClients(roomId, room) {
+    const now = timeService.now();
+    const expired = Object.entries(room.clients).filter(
+      ([, client]) =>
+        client.status === CLIENT_STATUS.AWAY &&
+        now - client.awaySince >= this.reconnectGrace
+    );
+    if (expired.length === 0) {
+      return;
     }
 
+    for (const [clientId, client] of expired) {
+      // Skip clients that came back since the room was read
+      const current = await this.getRoom(roomId);
+      if (current?.clients[clientId]?.socketId !== client.socketId) continue;
+      if (current.clients[clientId].status !== CLIENT_STATUS.AWAY) continue;
+
+      console.log(`Client [${clientId}] did not return to room [${roomId}]`);
+      await this.removeClient({ roomId, clientId });
+    }
+
+    const clients = await this.getClients(roomId);
+    if (clients.length > 0) {
+      this.emitToRoom(roomId, "room-update", { clients });
+    }
+  }
+
+  async createSession(roomId, clientId) {
+    const token = crypto.randomBytes(24).toString("base64url");
+    await redis.set(
+      this._sessionKey(token),
+      JSON.stringify({ roomId, clientId }),
+      "EX",
+      SESSION_TTL_SECONDS
+    );
+    return token;
+  }
+
+  async resolveSession(token) {
+    const session = await redis.getex(
+      this._sessionKey(token),
+      "EX",
+      SESSION_TTL_SECONDS
+    );
+    return session ? JSON.parse(session) : null;
+  }
+
+  // The session behind a token, if it is for this room and its client is
+  // still in it
+  async resolveRoomSession(roomId, token) {
+    const session = token ? await this.resolveSession(token) : null;
+    if (!session || session.roomId !== roomId) {
+      return null;
+    }
+
+    const room = await this.getRoom(roomId);
+    return room?.clients[session.clientId] ? session : null;
+  }
+
+  async endSession(token) {
+    await redis.del(this._sessionKey(token));
+  }
+
+  _joinData(roomId, room, clientId) {
     const currentPlaybackTime = this._calculateCurrentPlaybackTime(room);
 
     return {
+      name: room.name,
+      persistent: room.persistent,
+      private: Boolean(room.passcodeHash),
       currentSong: room.currentSong,
       isPlaying: room.isPlaying,
       songElapsedTime: currentPlaybackTime,
       playbackStartTime: room.playbackStartTime,
-      serverTime: Date.now(),
-      hlsUrl: room.hlsUrl,
-      songs: Object.entries(room.songs).map(([id, song]) => ({
-        id,
-        songUrl: song.songUrl,
-        hlsUrl: song.hlsUrl,
-        uploadedAt: song.uploadedAt,
-        duration: song.duration,
-      })),
+      playbackRate: room.playbackRate,
+      serverTime: timeService.now(),
+      ownerId: room.ownerId,
+      coHosts: room.coHosts,
+      hlsUrl: signHlsUrl(room.hlsUrl, { roomId, clientId }),
+      songs: Object.keys(room.songs).map((id) =>
+        this._serializeSong(roomId, room, id, clientId)
+      ),
+      queue: room.queue,
+      trajectory: room.trajectory,
+      layout: roomLayout(room),
+      spatialConfig: roomSpatialConfig(room),
     };
   }
 
   async removeClient({ roomId, clientId }) {
-    const room = await this.getRoom(roomId);
-    if (!room) {
-      return;
-    }
+    let deleted = false;
+    const room = await this.updateRoom(roomId, (room) => {
+      deleted = false;
+      if (!room.clients[clientId]) return;
 
-    delete room.clients[clientId];
-    this.sockets.delete(clientId);
+      rememberSeat(room, room.clients[clientId]);
+      delete room.clients[clientId];
+      room.coHosts = room.coHosts.filter((id) => id !== clientId);
 
-    if (Object.keys(room.clients).length === 0) {
-      // Clear all intervals before deleting room
-      if (this.intervals.has(roomId)) {
-        clearInterval(this.intervals.get(roomId));
-        this.intervals.delete(roomId);
+      if (room.ownerId === clientId) {
+        this._reassignOwner(room);
       }
-      if (this.syncIntervals.has(roomId)) {
-        clearInterval(this.syncIntervals.get(roomId));
-        this.syncIntervals.delete(roomId);
+
+      if (Object.keys(room.clients).length > 0) {
+        return;
       }
-      await redis.del(this._roomKey(roomId));
-    } else {
-      this.updateClientPositions(room);
-      await this.saveRoom(roomId, room);
+
+      // Persistent rooms and ephemeral ones with a lifetime outlive their
+      // last client, the room key's TTL takes care of them
+      deleted = !room.persistent && room.emptyTtlMinutes === 0;
+      if (deleted) {
+        return DELETE_ROOM;
+      }
+    });
+
+    if (deleted) {
+      await this._teardownRoom(roomId, room);
+    } else if (room && Object.keys(room.clients).length === 0) {
+      this._stopTickers(roomId);
     }
   }
 
-  // Convert audio URL to HLS using fluent-ffmpeg
-  async uploadSong(roomId, audioUrl) {
-    const room = await this.getRoom(roomId);
-    if (!room) {
-      throw new Error("Room not found");
-    }
+  createSongId() {
+    return `song_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
 
-    const songId = `song_${Date.now()}_${Math.random()
-      .toString(36)
-      .substring(2, 9)}`;
+  // Songs are keyed by their content so the same audio is stored once
+  async songIdForFile(filePath) {
+    return `song_${(await hashFile(filePath)).substring(0, 32)}`;
+  }
+
+  songIdForUrl(audioUrl) {
+    return `song_${hashUrl(audioUrl).substring(0, 32)}`;
+  }
+
+  async hasHLSOutput(songId) {
+    return (await this._readHLSMeta(songId)) !== null;
+  }
+
+  // Convert an audio URL or local file to HLS and add it to the room
+  async uploadSong(
+    roomId,
+    source,
+    songUrl = source,
+    { songId = this.createSongId(), clientId, onProgress, onCommand } = {}
+  ) {
+    if (!(await this.getRoom(roomId))) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
 
     console.log(`Converting audio to HLS for song: ${songId}`);
-    console.log(`Audio URL: ${audioUrl}`);
+    console.log(`Audio source: ${source}`);
 
     try {
-      // Create HLS stream from audio URL
-      const { hlsUrl, duration } = await this._convertToHLS(audioUrl, songId);
-
-      room.songs[songId] = {
-        songUrl: audioUrl,
-        hlsUrl: hlsUrl,
-        uploadedAt: Date.now(),
-        duration: duration,
-      };
-
-      await this.saveRoom(roomId, room);
+      // Create HLS stream from audio source, or reuse an earlier one. Either
+      // way this holds a reference on the output until the room takes it over
+      const { hlsUrl, duration } = await this._ensureHLS(source, songId, {
+        onProgress,
+        onCommand,
+      });
+
+      let added = false;
+      let room = null;
+      try {
+        room = await this.updateRoom(roomId, (room) => {
+          added = !room.songs[songId];
+          if (added) {
+            room.songs[songId] = {
+              songUrl: songUrl,
+              hlsUrl: hlsUrl,
+              uploadedAt: timeService.now(),
+              duration: duration,
+            };
+          }
+        });
+      } finally {
+        // The room already had the song, or never got it
+        if (!room || !added) {
+          await this._releaseSongs([songId]);
+        }
+      }
+      if (!room) {
+        throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+      }
 
       console.log(`Successfully converted song ${songId} to HLS`);
 
-      return {
-        id: songId,
-        songUrl: audioUrl,
-        hlsUrl: hlsUrl,
-        uploadedAt: room.songs[songId].uploadedAt,
-        duration: duration,
-      };
+      return this._serializeSong(roomId, room, songId, clientId);
     } catch (error) {
+      // A busy song is tried again later, it is not a failed conversion
+      if (error.code === ERROR_CODES.SONG_BUSY) throw error;
       console.error("Error converting to HLS:", error);
-      throw new Error(`Failed to process audio file: ${error.message}`);
+      if (error instanceof AppError) throw error;
+      throw new AppError(
+        ERROR_CODES.TRANSCODE_FAILED,
+        `Failed to process audio file: ${error.message}`
+      );
     }
   }
 
   async removeSong(roomId, songId) {
-    const room = await this.getRoom(roomId);
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.songs[songId]) {
+        throw new AppError(ERROR_CODES.SONG_NOT_FOUND, "Song not found");
+      }
+
+      if (room.currentSong === songId) {
+        room.currentSong = null;
+        room.isPlaying = false;
+        room.songElapsedTime = 0;
+        room.songStartTime = null;
+        room.playbackStartTime = null;
+        room.hlsUrl = null;
+      }
+
+      room.queue = room.queue.filter((id) => id !== songId);
+
+      delete room.songs[songId];
+    });
     if (!room) {
-      throw new Error("Room not found");
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
-    if (!room.songs[songId]) {
-      throw new Error("Song not found");
+    // Clean up HLS files once no room uses them anymore
+    await this._releaseSongs([songId]);
+
+    return songId;
+  }
+
+  async _releaseSongs(songIds) {
+    for (const songId of songIds) {
+      await this._withHLSLock(
+        songId,
+        async () => {
+          const refs = await redis.hincrby(HLS_REFS_KEY, songId, -1);
+          if (refs <= 0) {
+            await redis.hdel(HLS_REFS_KEY, songId);
+            await redis.hdel(HLS_REFS_TAKEN_KEY, songId);
+            await this._cleanupHLS(songId);
+          }
+        },
+        HLS_LOCK_WAIT_MS
+      );
     }
+  }
 
-    if (room.currentSong === songId) {
-      room.currentSong = null;
-      room.isPlaying = false;
-      room.songElapsedTime = 0;
-      room.songStartTime = null;
-      room.playbackStartTime = null;
-      room.hlsUrl = null;
+  // Transcode a song unless its output already exists, and take a reference
+  // on it for the caller. Only one server converts a given song at a time,
+  // the others fail with SONG_BUSY and try again later
+  async _ensureHLS(source, songId, hooks) {
+    return this._withHLSLock(songId, async () => {
+      let result = await this._readHLSMeta(songId);
+
+      if (!result) {
+        // Throw away anything left behind by an earlier failed run
+        await this._cleanupHLS(songId);
+
+        try {
+          result = await this._convertToHLS(source, songId, hooks);
+          await fs.writeFile(
+            path.join(this.hlsOutputDir, songId, HLS_META_FILE),
+            JSON.stringify({ ...result, createdAt: timeService.now() })
+          );
+        } catch (error) {
+          await this._cleanupHLS(songId);
+          throw error;
+        }
+      }
+
+      await redis
+        .multi()
+        .hincrby(HLS_REFS_KEY, songId, 1)
+        .hset(HLS_REFS_TAKEN_KEY, songId, timeService.now())
+        .exec();
+      return result;
+    });
+  }
+
+  // Converting, reusing and releasing a song's output all happen under its
+  // lock, so output is never removed between being found and referenced.
+  // The lock is renewed while fn runs and only its holder can release it
+  async _withHLSLock(songId, fn, waitMs = 0) {
+    const lockKey = `hls:lock:${songId}`;
+    const deadline = Date.now() + waitMs;
+    while (!(await acquireLease(lockKey, HLS_LOCK_TTL_MS))) {
+      if (Date.now() >= deadline) {
+        throw new AppError(ERROR_CODES.SONG_BUSY, "Song is being processed");
+      }
+      await delay(HLS_LOCK_RETRY_MS);
     }
 
-    // Clean up HLS files
-    if (room.songs[songId].hlsUrl) {
-      await this._cleanupHLS(songId);
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await renewLease(lockKey, HLS_LOCK_TTL_MS))) {
+          console.warn(`Lost the HLS lock on song ${songId}`);
+        }
+      } catch (error) {
+        console.error(`Error renewing HLS lock on song ${songId}:`, error);
+      }
+    }, HLS_LOCK_HEARTBEAT_MS);
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      await releaseLease(lockKey);
     }
+  }
 
-    delete room.songs[songId];
-    await this.saveRoom(roomId, room);
+  // Remove output of an interrupted conversion, unless it finished after all
+  // or another conversion of the same song is under way
+  async _cleanupPartialHLS(songId) {
+    if (
+      (await this.hasHLSOutput(songId)) ||
+      (await redis.exists(`hls:lock:${songId}`))
+    ) {
+      return;
+    }
 
-    return songId;
+    await this._cleanupHLS(songId);
+  }
+
+  // Written only after a successful conversion, so it marks complete output
+  async _readHLSMeta(songId) {
+    try {
+      const meta = await fs.readFile(
+        path.join(this.hlsOutputDir, songId, HLS_META_FILE),
+        "utf8"
+      );
+      const { hlsUrl, duration } = JSON.parse(meta);
+      return { hlsUrl, duration };
+    } catch {
+      return null;
+    }
   }
 
-  // Convert audio URL to HLS using fluent-ffmpeg
-  async _convertToHLS(audioUrl, songId) {
+  // Convert audio URL or file path to HLS using fluent-ffmpeg
+  async _convertToHLS(audioUrl, songId, { onProgress, onCommand } = {}) {
     return new Promise((resolve, reject) => {
       const outputDir = path.join(this.hlsOutputDir, songId);
-      const playlistPath = path.join(outputDir, "playlist.m3u8");
-      const segmentPattern = path.join(outputDir, "segment_%03d.ts");
+      // ffmpeg expands %v to the variant index, one directory per bitrate
+      const variantPlaylistPath = path.join(outputDir, "%v", "playlist.m3u8");
+      const segmentPattern = path.join(outputDir, "%v", "segment_%03d.ts");
 
       fs.mkdir(outputDir, { recursive: true })
         .then(() => {
@@ -254,12 +867,18 @@ class RoomManager {
 
           // Configure ffmpeg command
           const command = ffmpeg(audioUrl)
+            .inputOptions(ingestGuard.inputOptions())
             .audioCodec("aac")
-            .audioBitrate("128k")
             .audioChannels(2)
             .audioFrequency(44100)
             .format("hls")
             .outputOptions([
+              // One copy of the audio stream per ladder rung
+              ...HLS_BITRATE_LADDER.flatMap((bitrate, index) => [
+                "-map 0:a:0",
+                `-b:a:${index} ${bitrate}`,
+              ]),
+              "-master_pl_name playlist.m3u8", // Master playlist with BANDWIDTH/CODECS
               "-hls_time 10", // 10 second segments
               "-hls_list_size 0", // Keep all segments in playlist
               "-hls_segment_filename",
@@ -268,10 +887,13 @@ class RoomManager {
               "-hls_segment_type mpegts", // Use MPEG-TS segments
               "-start_number 0", // Start segment numbering at 0
               "-hls_allow_cache 1", // Allow caching
-              "-hls_base_url",
-              `./`, // Base URL for segments
             ])
-            .output(playlistPath);
+            // Passed as separate arguments so the map is never split on spaces
+            .outputOptions(
+              "-var_stream_map",
+              HLS_BITRATE_LADDER.map((_, index) => `a:${index}`).join(" ")
+            )
+            .output(variantPlaylistPath);
 
           let duration = 0;
 
@@ -281,10 +903,14 @@ class RoomManager {
             duration = this._parseDuration(data.duration);
           });
 
+          // fluent-ffmpeg only fills in percent when ffprobe is available,
+          // so work it out from the timemark and the input duration
           command.on("progress", (progress) => {
-            console.log(
-              `HLS conversion progress: ${progress.percent?.toFixed(2) || 0}%`
-            );
+            if (!onProgress || !duration) return;
+
+            const percent =
+              (this._parseDuration(progress.timemark) / duration) * 100;
+            onProgress(Math.min(100, Math.max(0, percent)));
           });
 
           command.on("end", () => {
@@ -303,6 +929,7 @@ class RoomManager {
             reject(new Error(`FFmpeg conversion failed: ${err.message}`));
           });
 
+          onCommand?.(command);
           command.run();
         })
         .catch(reject);
@@ -335,114 +962,326 @@ class RoomManager {
   }
 
   async playSong(roomId, songId) {
-    const room = await this.getRoom(roomId);
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.songs[songId]) {
+        throw new AppError(ERROR_CODES.SONG_NOT_FOUND, "Song not found");
+      }
+
+      this._startSong(room, songId, timeService.now());
+    });
     if (!room) {
-      throw new Error("Room not found");
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
-    if (!room.songs[songId]) {
-      throw new Error("Song not found");
-    }
+    await this._broadcastPlaybackSync(roomId, room);
 
-    const now = Date.now();
+    return this._playData(room);
+  }
+
+  _startSong(room, songId, now) {
     room.currentSong = songId;
     room.isPlaying = true;
     room.songElapsedTime = 0;
     room.songStartTime = now;
-    room.playbackStartTime = now + 2000; // 2 second buffer for sync
+    // 2 second buffer for sync
+    room.playbackStartTime = this._scheduleStart(room, now, 2000);
     room.hlsUrl = room.songs[songId].hlsUrl;
     room.serverTime = now;
+  }
 
-    await this.saveRoom(roomId, room);
-    await this._broadcastPlaybackSync(roomId, room);
-
+  // Broadcast to the whole room, so it carries no HLS URL. Each client gets
+  // one signed for it in the playback-sync sent just before
+  _playData(room) {
+    const song = room.songs[room.currentSong];
     return {
-      songId,
-      songUrl: room.songs[songId].songUrl,
-      hlsUrl: room.songs[songId].hlsUrl,
+      songId: room.currentSong,
+      songUrl: song.songUrl,
       isPlaying: true,
       elapsedTime: 0,
       playbackStartTime: room.playbackStartTime,
-      serverTime: now,
-      duration: room.songs[songId].duration,
+      playbackRate: room.playbackRate,
+      serverTime: room.serverTime,
+      duration: song.duration,
     };
   }
 
   async pauseSong(roomId) {
-    const room = await this.getRoom(roomId);
-    if (!room) {
-      throw new Error("Room not found");
-    }
+    const room = await this.updateRoom(roomId, (room) => {
+      const now = timeService.now();
+      room.songElapsedTime = this._calculateCurrentPlaybackTime(room, now);
 
-    const now = Date.now();
-    if (room.isPlaying && room.playbackStartTime) {
-      room.songElapsedTime = Math.max(0, now - room.playbackStartTime);
+      room.isPlaying = false;
+      room.songStartTime = null;
+      room.playbackStartTime = null;
+      room.serverTime = now;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
-    room.isPlaying = false;
-    room.songStartTime = null;
-    room.playbackStartTime = null;
-    room.serverTime = now;
-
-    await this.saveRoom(roomId, room);
     await this._broadcastPlaybackSync(roomId, room);
 
     return {
       songId: room.currentSong,
       isPlaying: false,
       elapsedTime: room.songElapsedTime,
-      serverTime: now,
+      playbackRate: room.playbackRate,
+      serverTime: room.serverTime,
     };
   }
 
   async resumeSong(roomId) {
-    const room = await this.getRoom(roomId);
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.currentSong) {
+        throw new AppError(ERROR_CODES.NO_CURRENT_SONG, "No song to resume");
+      }
+
+      const now = timeService.now();
+      room.isPlaying = true;
+      room.songStartTime = now;
+      // 1 second buffer for resume
+      room.playbackStartTime = this._scheduleStart(room, now, 1000);
+      room.serverTime = now;
+    });
     if (!room) {
-      throw new Error("Room not found");
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
-    if (!room.currentSong) {
-      throw new Error("No song to resume");
+    await this._broadcastPlaybackSync(roomId, room);
+
+    return {
+      songId: room.currentSong,
+      songUrl: room.songs[room.currentSong].songUrl,
+      isPlaying: true,
+      elapsedTime: room.songElapsedTime,
+      playbackStartTime: room.playbackStartTime,
+      playbackRate: room.playbackRate,
+      serverTime: room.serverTime,
+    };
+  }
+
+  async seekSong(roomId, positionMs) {
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.currentSong) {
+        throw new AppError(ERROR_CODES.NO_CURRENT_SONG, "No song to seek");
+      }
+
+      const duration = room.songs[room.currentSong].duration;
+      const position =
+        duration > 0
+          ? Math.min(Math.max(0, positionMs), duration)
+          : Math.max(0, positionMs);
+
+      const now = timeService.now();
+      room.songElapsedTime = position;
+      room.serverTime = now;
+
+      if (room.isPlaying) {
+        room.songStartTime = now;
+        // 1 second buffer for seek
+        room.playbackStartTime = this._scheduleStart(room, now, 1000);
+      }
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
-    const now = Date.now();
-    room.isPlaying = true;
-    room.songStartTime = now;
-    room.playbackStartTime = now + 1000; // 1 second buffer for resume
-    room.serverTime = now;
+    await this._broadcastPlaybackSync(roomId, room);
+
+    return {
+      songId: room.currentSong,
+      isPlaying: room.isPlaying,
+      elapsedTime: room.songElapsedTime,
+      playbackStartTime: room.playbackStartTime,
+      playbackRate: room.playbackRate,
+      serverTime: room.serverTime,
+      duration: room.songs[room.currentSong].duration,
+    };
+  }
+
+  async setPlaybackRate(roomId, rate) {
+    if (rate < MIN_PLAYBACK_RATE || rate > MAX_PLAYBACK_RATE) {
+      throw new AppError(
+        ERROR_CODES.INVALID_PLAYBACK_RATE,
+        `Playback rate must be between ${MIN_PLAYBACK_RATE} and ${MAX_PLAYBACK_RATE}`
+      );
+    }
+
+    const room = await this.updateRoom(roomId, (room) => {
+      const now = timeService.now();
+
+      // Rebase elapsed time at the old rate before switching to the new one
+      if (
+        room.isPlaying &&
+        room.playbackStartTime &&
+        now >= room.playbackStartTime
+      ) {
+        room.songElapsedTime = this._calculateCurrentPlaybackTime(room, now);
+        room.songStartTime = now;
+        // 1 second buffer for rate change
+        room.playbackStartTime = this._scheduleStart(room, now, 1000);
+      }
+
+      room.playbackRate = rate;
+      room.serverTime = now;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
 
-    await this.saveRoom(roomId, room);
     await this._broadcastPlaybackSync(roomId, room);
 
     return {
       songId: room.currentSong,
-      songUrl: room.songs[room.currentSong].songUrl,
-      hlsUrl: room.songs[room.currentSong].hlsUrl,
-      isPlaying: true,
+      isPlaying: room.isPlaying,
       elapsedTime: room.songElapsedTime,
       playbackStartTime: room.playbackStartTime,
-      serverTime: now,
+      playbackRate: rate,
+      serverTime: room.serverTime,
     };
   }
 
   async stopSong(roomId) {
-    const room = await this.getRoom(roomId);
+    const room = await this.updateRoom(roomId, (room) =>
+      this._stopSong(room, timeService.now())
+    );
     if (!room) {
-      throw new Error("Room not found");
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
     }
 
+    await this._broadcastPlaybackSync(roomId, room);
+
+    return { stopped: true, serverTime: room.serverTime };
+  }
+
+  _stopSong(room, now) {
     room.currentSong = null;
     room.isPlaying = false;
     room.songElapsedTime = 0;
     room.songStartTime = null;
     room.playbackStartTime = null;
     room.hlsUrl = null;
-    room.serverTime = Date.now();
+    room.serverTime = now;
+  }
+
+  async getQueue(roomId) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return room.queue;
+  }
+
+  async enqueueSong(roomId, songId) {
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.songs[songId]) {
+        throw new AppError(ERROR_CODES.SONG_NOT_FOUND, "Song not found");
+      }
+
+      if (room.queue.includes(songId)) {
+        throw new AppError(
+          ERROR_CODES.SONG_ALREADY_QUEUED,
+          "Song is already queued"
+        );
+      }
+
+      room.queue.push(songId);
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return room.queue;
+  }
+
+  async dequeueSong(roomId, songId) {
+    const room = await this.updateRoom(roomId, (room) => {
+      if (!room.queue.includes(songId)) {
+        throw new AppError(ERROR_CODES.SONG_NOT_QUEUED, "Song is not queued");
+      }
+
+      room.queue = room.queue.filter((id) => id !== songId);
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return room.queue;
+  }
+
+  async reorderQueue(roomId, songId, toIndex) {
+    const room = await this.updateRoom(roomId, (room) => {
+      const fromIndex = room.queue.indexOf(songId);
+      if (fromIndex === -1) {
+        throw new AppError(ERROR_CODES.SONG_NOT_QUEUED, "Song is not queued");
+      }
+
+      const target = Math.max(0, Math.min(toIndex, room.queue.length - 1));
+      room.queue.splice(fromIndex, 1);
+      room.queue.splice(target, 0, songId);
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return room.queue;
+  }
+
+  async clearQueue(roomId) {
+    const room = await this.updateRoom(roomId, (room) => {
+      room.queue = [];
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return room.queue;
+  }
+
+  // Play the next queued song, or stop when the queue has run dry
+  async _advanceQueue(roomId) {
+    let advanced = false;
+    const room = await this.updateRoom(roomId, (room) => {
+      // Someone may have played, seeked or stopped since the tick checked
+      advanced = this._hasSongEnded(room);
+      if (!advanced) return;
+
+      let nextSongId = room.queue.shift();
+      while (nextSongId && !room.songs[nextSongId]) {
+        nextSongId = room.queue.shift();
+      }
+
+      if (nextSongId) {
+        this._startSong(room, nextSongId, timeService.now());
+      } else {
+        this._stopSong(room, timeService.now());
+      }
+    });
+    if (!room || !advanced) {
+      return;
+    }
 
-    await this.saveRoom(roomId, room);
     await this._broadcastPlaybackSync(roomId, room);
 
-    return { stopped: true, serverTime: room.serverTime };
+    if (room.currentSong) {
+      this.emitToRoom(roomId, "song-started", this._playData(room));
+      this.emitToRoom(roomId, "queue-updated", { queue: room.queue });
+    } else {
+      this.emitToRoom(roomId, "song-stopped", {
+        stopped: true,
+        serverTime: room.serverTime,
+      });
+    }
+  }
+
+  _hasSongEnded(room) {
+    if (!room.isPlaying || !room.currentSong) {
+      return false;
+    }
+
+    const duration = room.songs[room.currentSong]?.duration;
+    return duration > 0 && this._calculateCurrentPlaybackTime(room) >= duration;
   }
 
   // Precise sync broadcasting every 500ms
@@ -455,7 +1294,24 @@ class RoomManager {
         return;
       }
 
-      if (room.isPlaying && room.currentSong) {
+      try {
+        await this._expireAwayClients(roomId, room);
+      } catch (error) {
+        console.error(`Error expiring clients in room ${roomId}:`, error);
+      }
+
+      if (this._hasSongEnded(room)) {
+        // Skip ticks that land while the previous advance is still saving
+        if (this.advancingRooms.has(roomId)) return;
+        this.advancingRooms.add(roomId);
+        try {
+          await this._advanceQueue(roomId);
+        } catch (error) {
+          console.error(`Error advancing queue for room ${roomId}:`, error);
+        } finally {
+          this.advancingRooms.delete(roomId);
+        }
+      } else if (room.isPlaying && room.currentSong) {
         await this._broadcastPlaybackSync(roomId, room);
       }
     }, 500); // Sync every 500ms
@@ -463,160 +1319,279 @@ class RoomManager {
     this.syncIntervals.set(roomId, syncInterval);
   }
 
+  // Pick a start time far enough ahead for the slowest client to hear about it
+  _scheduleStart(room, now, minBufferMs) {
+    const slowest = Object.values(room.clients).reduce(
+      (max, client) =>
+        Math.max(max, (client.latency || 0) + 2 * (client.jitter || 0)),
+      0
+    );
+    return now + Math.max(minBufferMs, slowest + 250);
+  }
+
+  async updateClientTiming(roomId, clientId, timing) {
+    await this.updateRoom(roomId, (room) => {
+      if (room.clients[clientId]) {
+        Object.assign(room.clients[clientId], timing);
+      }
+    });
+  }
+
   async _broadcastPlaybackSync(roomId, room) {
-    const now = Date.now();
+    const now = timeService.now();
     const currentPlaybackTime = this._calculateCurrentPlaybackTime(room);
 
     const syncData = {
       songId: room.currentSong,
       isPlaying: room.isPlaying,
       playbackStartTime: room.playbackStartTime,
+      playbackRate: room.playbackRate,
       currentTime: currentPlaybackTime,
       serverTime: now,
-      hlsUrl: room.hlsUrl,
     };
 
     const clients = Object.entries(room.clients);
-    for (const [clientId] of clients) {
-      const socket = this.sockets.get(clientId);
-      if (socket) {
-        socket.emit("playback-sync", syncData);
-      }
+    for (const [clientId, client] of clients) {
+      this.emitToClient(clientId, "playback-sync", {
+        ...syncData,
+        clockOffset: client.clockOffset || 0,
+        latency: client.latency || 0,
+        hlsUrl: signHlsUrl(room.hlsUrl, { roomId, clientId }),
+      });
     }
   }
 
-  _calculateCurrentPlaybackTime(room) {
+  // Position in the song (ms of media) at `now`, scaled by the playback rate
+  _calculateCurrentPlaybackTime(room, now = timeService.now()) {
     if (!room.isPlaying || !room.playbackStartTime) {
       return room.songElapsedTime || 0;
     }
 
-    const now = Date.now();
     if (now < room.playbackStartTime) {
       return room.songElapsedTime || 0;
     }
 
-    return (room.songElapsedTime || 0) + (now - room.playbackStartTime);
+    const rate = room.playbackRate || 1.0;
+    return (room.songElapsedTime || 0) + (now - room.playbackStartTime) * rate;
   }
 
   async toggleSpatialAudio(roomId, spatialEnable) {
-    const room = await this.getRoom(roomId);
+    const room = await this.updateRoom(roomId, (room) => {
+      room.spatialEnabled = spatialEnable;
+      if (!spatialEnable) {
+        room.soundSource = { x: 0, y: 0 };
+      }
+    });
     if (!room) {
       return;
     }
 
-    room.spatialEnabled = spatialEnable;
-
-    if (this.intervals.has(roomId)) {
-      clearInterval(this.intervals.get(roomId));
-      this.intervals.delete(roomId);
-    }
-
     if (spatialEnable) {
-      await this.startSpatialAudio(roomId, room);
+      // The instance holding the room's lease starts the motion
+      await this._nudgeTickers(roomId);
     } else {
-      room.soundSource = { x: 0, y: 0 };
-      await this.saveRoom(roomId, room);
-      await this.broadCastSpatialUpdate(room);
+      await this.broadCastSpatialUpdate(roomId, room);
     }
   }
 
-  async startSpatialAudio(roomId, room) {
-    let step = 0;
-    const radius = RADIUS;
-    const center = { x: 0, y: 0 };
-    const FRAME_RATE = 100;
+  // The trajectory starts the next frame, wherever its shape begins
+  async setTrajectory(roomId, options) {
+    const trajectory = createTrajectory(options, timeService.now());
+    const room = await this.updateRoom(roomId, (room) => {
+      room.trajectory = trajectory;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    return trajectory;
+  }
 
+  startSpatialAudio(roomId) {
     const interval = setInterval(async () => {
-      const currentRoom = await this.getRoom(roomId);
+      let currentRoom;
+      try {
+        currentRoom = await this.updateRoom(roomId, (currentRoom) => {
+          if (!currentRoom.spatialEnabled) return;
+          // Positions follow the shared clock, so a new ticker owner picks
+          // up the motion where the previous one left it
+          currentRoom.soundSource = trajectoryPosition(currentRoom.trajectory, {
+            now: timeService.now(),
+            songPosition: this._calculateCurrentPlaybackTime(currentRoom),
+          });
+        });
+      } catch (error) {
+        // Busy room, try again on the next frame
+        return;
+      }
+
       if (!currentRoom || !currentRoom.spatialEnabled) {
         clearInterval(interval);
         this.intervals.delete(roomId);
         return;
       }
 
-      const angle = (step * Math.PI * 2) / 100;
-      currentRoom.soundSource = {
-        x: center.x + Math.cos(angle) * radius,
-        y: center.y + Math.sin(angle) * radius,
-      };
-
-      await this.saveRoom(roomId, currentRoom);
-      await this.broadCastSpatialUpdate(currentRoom);
-      step = (step + 1) % 100;
-    }, FRAME_RATE);
+      await this.broadCastSpatialUpdate(roomId, currentRoom);
+    }, TRAJECTORY_FRAME_MS);
 
     this.intervals.set(roomId, interval);
   }
 
   async updateSourcePosition(roomId, position) {
-    const room = await this.getRoom(roomId);
+    const room = await this.updateRoom(roomId, (room) => {
+      room.soundSource = position;
+    });
     if (!room) {
       return;
     }
 
-    room.soundSource = position;
-    await this.saveRoom(roomId, room);
-    await this.broadCastSpatialUpdate(room);
+    await this.broadCastSpatialUpdate(roomId, room);
   }
 
-  updateClientPositions(room) {
-    const clients = Object.entries(room.clients);
-    clients.forEach(([id, client], index) => {
-      const angle = (index * 2 * Math.PI) / clients.length;
-      client.position = {
-        x: Math.cos(angle) * RADIUS,
-        y: Math.sin(angle) * RADIUS,
+  // Re-seat everyone on the new layout in their current order. Switching
+  // to free placement keeps everyone where they are
+  async setLayout(roomId, { mode, slots }) {
+    const room = await this.updateRoom(roomId, (room) => {
+      const clients = Object.values(room.clients).sort(
+        (a, b) =>
+          (a.slot ?? Infinity) - (b.slot ?? Infinity) || a.joinedAt - b.joinedAt
+      );
+      room.layout = {
+        mode,
+        slots: Math.max(slots ?? roomLayout(room).slots, clients.length, 1),
       };
+      if (mode === LAYOUT_MODES.FREE) return;
+
+      clients.forEach((client, index) => {
+        client.slot = index;
+      });
+      placeClients(room);
     });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    await this.broadCastSpatialUpdate(roomId, room);
+    return room.layout;
   }
 
-  async broadCastSpatialUpdate(room) {
+  // Placing a device by hand switches the room to free placement
+  async setClientPosition(roomId, clientId, position) {
+    const room = await this.updateRoom(roomId, (room) => {
+      const client = room.clients[clientId];
+      if (!client) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, "Client not found");
+      }
+
+      room.layout = { ...roomLayout(room), mode: LAYOUT_MODES.FREE };
+      client.position = position;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    await this.broadCastSpatialUpdate(roomId, room);
+    return room.layout;
+  }
+
+  async setSpatialConfig(roomId, changes) {
+    const room = await this.updateRoom(roomId, (room) => {
+      room.spatialConfig = createSpatialConfig(
+        roomSpatialConfig(room),
+        changes
+      );
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    await this.broadCastSpatialUpdate(roomId, room);
+    return room.spatialConfig;
+  }
+
+  async setClientChannel(roomId, clientId, channel) {
+    const room = await this.updateRoom(roomId, (room) => {
+      const client = room.clients[clientId];
+      if (!client) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, "Client not found");
+      }
+
+      client.channel = channel;
+    });
+    if (!room) {
+      throw new AppError(ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    await this.broadCastSpatialUpdate(roomId, room);
+  }
+
+  // gains is kept for clients that only apply a volume, newer ones use the
+  // per-speaker mix, which already includes the gain and pan
+  async broadCastSpatialUpdate(roomId, room) {
     const source = room.soundSource;
+    const config = roomSpatialConfig(room);
     const clients = Object.entries(room.clients);
     const gains = {};
+    const pans = {};
+    const channels = {};
+    const mix = {};
 
     for (const [id, client] of clients) {
       if (room.spatialEnabled) {
         const dist = this._calculateDistance(client.position, source);
-        gains[id] = this._calculateGain(dist);
+        gains[id] = distanceGain(config, dist);
+        pans[id] = stereoPan(client.position, source);
       } else {
         gains[id] = 1.0;
+        pans[id] = 0;
       }
+      channels[id] = client.channel || AUDIO_CHANNELS.BOTH;
+      mix[id] = channelMix(gains[id], pans[id], channels[id]);
     }
 
     const payload = {
       source,
       gains,
+      pans,
+      channels,
+      mix,
       enabled: room.spatialEnabled,
+      layout: roomLayout(room),
       positions: Object.fromEntries(
         clients.map(([id, client]) => [id, client.position])
       ),
     };
 
-    for (const [clientId] of clients) {
-      const socket = this.sockets.get(clientId);
-      if (socket) {
-        socket.emit("spatial-update", payload);
-      }
-    }
+    this.emitToRoom(roomId, "spatial-update", payload);
+  }
+
+  // Both go through the Socket.IO adapter, so they reach clients connected
+  // to any instance. Every socket is in a room named after its own id
+  emitToRoom(roomId, event, data) {
+    this.io?.to(roomId).emit(event, data);
+  }
+
+  emitToClient(clientId, event, data) {
+    this.io?.to(clientId).emit(event, data);
   }
 
   _roomKey(roomId) {
     return `room:${roomId}`;
   }
 
+  _sessionKey(token) {
+    return `session:${token}`;
+  }
+
+  _tickerLeaseKey(roomId) {
+    return `room:${roomId}:ticker`;
+  }
+
   _calculateDistance(p1, p2) {
     const dx = p1.x - p2.x;
     const dy = p1.y - p2.y;
     return Math.sqrt(dx * dx + dy * dy);
   }
-
-  _calculateGain(distance) {
-    const maxDistance = RADIUS;
-    const minGain = 0.5;
-    const gain = 1 - (distance / maxDistance) * (1 - minGain);
-    return Math.max(gain, minGain);
-  }
 }
 
 const roomManager = new RoomManager();
@@ -0,0 +1,72 @@
+import Sntp from "@hapi/sntp";
+import {
+  TIME_SYNC_HOST,
+  TIME_SYNC_INTERVAL_MS,
+  TIME_SYNC_PORT,
+  TIME_SYNC_TIMEOUT_MS,
+} from "../constants/index.js";
+
+// Keeps the offset to an upstream SNTP server fresh in the background so
+// reading the corrected clock never waits on the network
+class TimeService {
+  constructor() {
+    this.host = process.env.TIME_SYNC_HOST || TIME_SYNC_HOST;
+    this.port = Number(process.env.TIME_SYNC_PORT) || TIME_SYNC_PORT;
+    this.interval =
+      Number(process.env.TIME_SYNC_INTERVAL_MS) || TIME_SYNC_INTERVAL_MS;
+    this.enabled = process.env.TIME_SYNC_ENABLED !== "false";
+    this.offset = 0;
+    this.lastSyncAt = null;
+    this.lastError = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this._sync();
+    this.timer = setInterval(() => this._sync(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  status() {
+    return {
+      serverTime: this.now(),
+      offset: this.offset,
+      lastSyncAt: this.lastSyncAt,
+      upstream: this.enabled ? `${this.host}:${this.port}` : null,
+      synced: this.lastSyncAt !== null,
+      lastError: this.lastError,
+    };
+  }
+
+  async _sync() {
+    try {
+      const time = await Sntp.time({
+        host: this.host,
+        port: this.port,
+        timeout: TIME_SYNC_TIMEOUT_MS,
+      });
+
+      this.offset = Math.round(time.t);
+      this.lastSyncAt = this.now();
+      this.lastError = null;
+    } catch (error) {
+      // Keep serving the last known offset until the upstream comes back
+      this.lastError = error.message;
+      console.error(`Time sync with ${this.host} failed: ${error.message}`);
+    }
+  }
+}
+
+const timeService = new TimeService();
+export default timeService;
@@ -0,0 +1,485 @@
+import fs from "fs/promises";
+import { v4 as uuidv4 } from "uuid";
+import redis from "../config/redis.js";
+import instanceId from "../config/instance.js";
+import roomManager from "./RoomManager.js";
+import ingestGuard from "./IngestGuard.js";
+import timeService from "./TimeService.js";
+import { releaseLease, renewLease } from "../utils/lease.js";
+import { AppError, errorCode } from "../utils/errors.js";
+import {
+  ERROR_CODES,
+  TRANSCODE_CONCURRENCY,
+  TRANSCODE_HEARTBEAT_MS,
+  TRANSCODE_JOB_TTL_SECONDS,
+  TRANSCODE_LEASE_MS,
+  TRANSCODE_MAX_ATTEMPTS,
+  TRANSCODE_MAX_PER_ROOM,
+  TRANSCODE_POLL_INTERVAL_MS,
+} from "../constants/index.js";
+
+const QUEUED_KEY = "transcode:queued";
+// Jobs a worker has taken, from the moment they leave the queue until they
+// are done or back in it
+const INFLIGHT_KEY = "transcode:inflight";
+
+// Take the next job and its lease in one step, a worker that dies right
+// after leaves the job in flight for recovery instead of losing it
+redis.defineCommand("claimTranscodeJob", {
+  numberOfKeys: 2,
+  lua: `
+local jobId = redis.call("LMOVE", KEYS[1], KEYS[2], "LEFT", "RIGHT")
+if not jobId then
+  return false
+end
+redis.call("SET", ARGV[1] .. jobId, ARGV[2], "PX", ARGV[3])
+return jobId
+`,
+});
+
+// Only the instance that takes the job out of flight puts it back
+redis.defineCommand("requeueTranscodeJob", {
+  numberOfKeys: 2,
+  lua: `
+if redis.call("LREM", KEYS[1], 1, ARGV[1]) == 0 then
+  return 0
+end
+return redis.call("LPUSH", KEYS[2], ARGV[1])
+`,
+});
+
+// Rejected sources fail for good, retrying would only fetch them again
+const PERMANENT_FAILURES = [
+  ERROR_CODES.SOURCE_NOT_ALLOWED,
+  ERROR_CODES.SOURCE_NOT_AUDIO,
+  ERROR_CODES.SOURCE_TOO_LONG,
+  ERROR_CODES.SOURCE_TOO_LARGE,
+];
+
+export const JOB_STATES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// Redis backed queue that runs HLS conversions in the background with a
+// bounded number of ffmpeg processes per server. Every server pulls from the
+// same queue, a running job holds a lease its worker renews until it is done
+class TranscodeQueue {
+  constructor() {
+    this.concurrency =
+      Number(process.env.TRANSCODE_CONCURRENCY) || TRANSCODE_CONCURRENCY;
+    this.maxPerRoom =
+      Number(process.env.TRANSCODE_MAX_PER_ROOM) || TRANSCODE_MAX_PER_ROOM;
+    this.active = new Map();
+    this.cancelled = new Set();
+    this.pumping = false;
+    this.poller = null;
+  }
+
+  // Pick up work queued by other instances and jobs whose worker died
+  start() {
+    if (this.poller) return;
+
+    this.recover();
+    this.poller = setInterval(() => this.recover(), TRANSCODE_POLL_INTERVAL_MS);
+    this.poller.unref();
+  }
+
+  async enqueue({
+    roomId,
+    songId,
+    source,
+    songUrl = source,
+    requesterId,
+    temporarySource = false,
+  }) {
+    const now = timeService.now();
+    const job = {
+      id: uuidv4(),
+      roomId,
+      songId,
+      source,
+      songUrl,
+      requesterId,
+      temporarySource,
+      state: JOB_STATES.QUEUED,
+      attempts: 0,
+      maxAttempts: TRANSCODE_MAX_ATTEMPTS,
+      error: null,
+      errorCode: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this._claimRoomSlot(job);
+    await this._saveJob(job);
+
+    // Already transcoded once, no need to wait for a free slot
+    if (await roomManager.hasHLSOutput(songId)) {
+      await redis
+        .multi()
+        .rpush(INFLIGHT_KEY, job.id)
+        .set(this._leaseKey(job.id), instanceId, "PX", TRANSCODE_LEASE_MS)
+        .exec();
+      this._run(job.id).catch((error) =>
+        console.error(`Error running transcode job ${job.id}:`, error)
+      );
+      return job;
+    }
+
+    await redis.rpush(QUEUED_KEY, job.id);
+    this._pump();
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    const job = await redis.get(this._jobKey(jobId));
+    return job ? JSON.parse(job) : null;
+  }
+
+  async cancel(roomId, jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || job.roomId !== roomId) {
+      throw new AppError(ERROR_CODES.JOB_NOT_FOUND, "Job not found");
+    }
+
+    if (job.state === JOB_STATES.QUEUED) {
+      await redis.lrem(QUEUED_KEY, 0, jobId);
+      job.state = JOB_STATES.CANCELLED;
+      await this._saveJob(job);
+      await this._finish(job);
+      roomManager.emitToRoom(roomId, "song-upload-cancelled", {
+        jobId,
+        audioUrl: job.songUrl,
+      });
+      return job;
+    }
+
+    if (job.state === JOB_STATES.RUNNING) {
+      // The running job reports the cancellation once ffmpeg has exited
+      if (this.active.has(jobId)) {
+        this._kill(jobId);
+      } else {
+        // Running on another instance, its next heartbeat picks this up
+        await redis.set(
+          this._cancelKey(jobId),
+          "1",
+          "EX",
+          TRANSCODE_JOB_TTL_SECONDS
+        );
+      }
+      return job;
+    }
+
+    throw new AppError(
+      ERROR_CODES.JOB_NOT_CANCELLABLE,
+      `Job cannot be cancelled while ${job.state}`
+    );
+  }
+
+  // Requeue or fail jobs whose worker stopped renewing their lease
+  async recover() {
+    try {
+      await this._recoverAbandoned();
+    } catch (error) {
+      console.error("Error recovering transcode jobs:", error);
+    }
+
+    this._pump();
+  }
+
+  // Jobs that ran out of attempts are failed by the worker that picks
+  // them up next, so nothing is lost if this instance dies halfway
+  async _recoverAbandoned() {
+    const jobIds = await redis.lrange(INFLIGHT_KEY, 0, -1);
+    let recovered = 0;
+
+    for (const jobId of jobIds) {
+      if (this.active.has(jobId)) continue;
+      if (await redis.exists(this._leaseKey(jobId))) continue;
+
+      // Only one instance gets to take over a given job
+      if (!(await redis.requeueTranscodeJob(INFLIGHT_KEY, QUEUED_KEY, jobId))) {
+        continue;
+      }
+      recovered += 1;
+
+      const job = await this.getJob(jobId);
+      if (!job) continue;
+
+      await roomManager._cleanupPartialHLS(job.songId);
+
+      if (job.state === JOB_STATES.RUNNING) {
+        job.state = JOB_STATES.QUEUED;
+        await this._saveJob(job);
+      }
+    }
+
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} interrupted transcode jobs`);
+    }
+  }
+
+  async _pump() {
+    if (this.pumping) return;
+    this.pumping = true;
+
+    try {
+      while (this.active.size < this.concurrency) {
+        const jobId = await redis.claimTranscodeJob(
+          QUEUED_KEY,
+          INFLIGHT_KEY,
+          this._leaseKey(""),
+          instanceId,
+          TRANSCODE_LEASE_MS
+        );
+        if (!jobId) break;
+
+        this.active.set(jobId, null);
+        this._run(jobId)
+          .catch((error) =>
+            console.error(`Error running transcode job ${jobId}:`, error)
+          )
+          .finally(() => {
+            this.active.delete(jobId);
+            this._pump();
+          });
+      }
+    } catch (error) {
+      console.error("Error pulling transcode jobs:", error);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  // Runs a job this instance has claimed, it is in flight and leased
+  async _run(jobId) {
+    const leaseKey = this._leaseKey(jobId);
+    const job = await this.getJob(jobId);
+
+    // Cancelled or expired while it waited, or interrupted too often
+    const runnable =
+      job?.state === JOB_STATES.QUEUED || job?.state === JOB_STATES.RUNNING;
+    if (!runnable || job.attempts >= job.maxAttempts) {
+      if (runnable) {
+        job.state = JOB_STATES.FAILED;
+        job.error = "Interrupted, its server stopped responding";
+        job.errorCode = ERROR_CODES.TRANSCODE_FAILED;
+        await this._saveJob(job);
+        await this._finish(job);
+      }
+      await redis.lrem(INFLIGHT_KEY, 0, jobId);
+      await releaseLease(leaseKey);
+      return;
+    }
+
+    job.state = JOB_STATES.RUNNING;
+    job.workerId = instanceId;
+    job.attempts += 1;
+    await this._saveJob(job);
+
+    const heartbeat = setInterval(
+      () => this._heartbeat(jobId),
+      TRANSCODE_HEARTBEAT_MS
+    );
+
+    roomManager.emitToClient(job.requesterId, "song-upload-started", {
+      jobId,
+      audioUrl: job.songUrl,
+      attempt: job.attempts,
+    });
+
+    let lastProgress = -1;
+    let download = null;
+
+    try {
+      // Sources are checked when they are fetched, output that already
+      // exists needs no fetching at all
+      const { source, temporary } = (await roomManager.hasHLSOutput(job.songId))
+        ? job
+        : await ingestGuard.inspect(job.source, {
+            local: job.temporarySource,
+          });
+      if (temporary) download = source;
+
+      const song = await roomManager.uploadSong(
+        job.roomId,
+        source,
+        job.songUrl,
+        {
+          songId: job.songId,
+          clientId: job.requesterId,
+          onCommand: (command) => {
+            this.active.set(jobId, command);
+            if (this.cancelled.has(jobId)) command.kill("SIGKILL");
+          },
+          onProgress: (percent) => {
+            const progress = Math.floor(percent);
+            if (progress <= lastProgress) return;
+            lastProgress = progress;
+
+            roomManager.emitToRoom(job.roomId, "song-upload-progress", {
+              jobId,
+              audioUrl: job.songUrl,
+              progress,
+            });
+          },
+        }
+      );
+
+      job.state = JOB_STATES.DONE;
+      job.error = null;
+      job.errorCode = null;
+      await this._saveJob(job);
+
+      // The HLS URL is signed for the uploader, everyone else gets their own
+      // from get-songs or playback-sync
+      const { hlsUrl, ...shared } = song;
+      roomManager.emitToRoom(job.roomId, "song-uploaded", { song: shared });
+      roomManager.emitToClient(job.requesterId, "song-upload-completed", {
+        jobId,
+        song,
+      });
+    } catch (error) {
+      job.error = error.message;
+      job.errorCode = errorCode(error);
+
+      if (this.cancelled.has(jobId)) {
+        job.state = JOB_STATES.CANCELLED;
+        roomManager.emitToRoom(job.roomId, "song-upload-cancelled", {
+          jobId,
+          audioUrl: job.songUrl,
+        });
+      } else if (errorCode(error) === ERROR_CODES.SONG_BUSY) {
+        // Another server is converting the same song. Leave the job in
+        // flight without a lease, the next recovery poll queues it again
+        // without this counting as an attempt
+        job.state = JOB_STATES.QUEUED;
+        job.attempts -= 1;
+        await this._saveJob(job);
+        await releaseLease(leaseKey);
+        return;
+      } else if (
+        job.attempts < job.maxAttempts &&
+        !PERMANENT_FAILURES.includes(errorCode(error)) &&
+        (await roomManager.getRoom(job.roomId))
+      ) {
+        job.state = JOB_STATES.QUEUED;
+        await this._saveJob(job);
+        // Let go first, whoever claims it next takes a lease of their own
+        await releaseLease(leaseKey);
+        await redis
+          .multi()
+          .lrem(INFLIGHT_KEY, 0, jobId)
+          .rpush(QUEUED_KEY, jobId)
+          .exec();
+        return;
+      } else {
+        job.state = JOB_STATES.FAILED;
+        roomManager.emitToClient(job.requesterId, "song-upload-failed", {
+          jobId,
+          audioUrl: job.songUrl,
+          reason: errorCode(error),
+          error: error.message,
+        });
+      }
+
+      await this._saveJob(job);
+    } finally {
+      clearInterval(heartbeat);
+      if (download) await fs.rm(download, { force: true });
+      this.cancelled.delete(jobId);
+      await redis.del(this._cancelKey(jobId));
+
+      if (job.state !== JOB_STATES.QUEUED) {
+        await this._finish(job);
+        await redis.lrem(INFLIGHT_KEY, 0, jobId);
+        await releaseLease(leaseKey);
+      }
+    }
+  }
+
+  async _heartbeat(jobId) {
+    try {
+      await renewLease(this._leaseKey(jobId), TRANSCODE_LEASE_MS);
+
+      if (await redis.exists(this._cancelKey(jobId))) {
+        this._kill(jobId);
+      }
+    } catch (error) {
+      console.error(`Error renewing transcode job ${jobId}:`, error);
+    }
+  }
+
+  _kill(jobId) {
+    this.cancelled.add(jobId);
+    this.active.get(jobId)?.kill("SIGKILL");
+  }
+
+  async _saveJob(job) {
+    job.updatedAt = timeService.now();
+    await redis.set(
+      this._jobKey(job.id),
+      JSON.stringify(job),
+      "EX",
+      TRANSCODE_JOB_TTL_SECONDS
+    );
+  }
+
+  // Counted across instances, so a room cannot start more ffmpeg processes
+  // by spreading its uploads over several servers
+  async _claimRoomSlot(job) {
+    const key = this._roomJobsKey(job.roomId);
+    const results = await redis
+      .multi()
+      .sadd(key, job.id)
+      .scard(key)
+      .expire(key, TRANSCODE_JOB_TTL_SECONDS)
+      .exec();
+
+    const [, count] = results[1];
+    if (count > this.maxPerRoom) {
+      await redis.srem(key, job.id);
+      throw new AppError(
+        ERROR_CODES.UPLOAD_LIMIT_REACHED,
+        "Too many uploads in progress for this room"
+      );
+    }
+  }
+
+  // Done, failed or cancelled jobs give up their room slot and source file
+  async _finish(job) {
+    await redis.srem(this._roomJobsKey(job.roomId), job.id);
+    await this._releaseSource(job);
+  }
+
+  // Uploaded files are only kept until their job is finished
+  async _releaseSource(job) {
+    if (job.temporarySource) {
+      await fs.rm(job.source, { force: true });
+    }
+  }
+
+  _jobKey(jobId) {
+    return `transcode:job:${jobId}`;
+  }
+
+  _leaseKey(jobId) {
+    return `transcode:lease:${jobId}`;
+  }
+
+  _cancelKey(jobId) {
+    return `transcode:cancel:${jobId}`;
+  }
+
+  _roomJobsKey(roomId) {
+    return `transcode:room:${roomId}`;
+  }
+}
+
+const transcodeQueue = new TranscodeQueue();
+export default transcodeQueue;
@@ -0,0 +1,29 @@
+import crypto from "crypto";
+import { createReadStream } from "fs";
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Same resource, same key: lowercase scheme and host, drop default ports
+// and fragments, sort query parameters
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    parsed.searchParams.sort();
+    return parsed.toString();
+  } catch {
+    return url.trim();
+  }
+}
+
+export function hashUrl(url) {
+  return crypto.createHash("sha256").update(normalizeUrl(url)).digest("hex");
+}
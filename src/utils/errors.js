@@ -0,0 +1,15 @@
+import { ERROR_CODES } from "../constants/index.js";
+
+// Errors a client can act on. Services throw these with one of the
+// ERROR_CODES, anything else reaches the client as an internal error
+export class AppError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AppError";
+    this.code = code;
+  }
+}
+
+export function errorCode(error) {
+  return error instanceof AppError ? error.code : ERROR_CODES.INTERNAL_ERROR;
+}
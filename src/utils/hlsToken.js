@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import {
+  HLS_TOKEN_REFRESH_SECONDS,
+  HLS_TOKEN_TTL_SECONDS,
+} from "../constants/index.js";
+
+const secret =
+  process.env.HLS_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!process.env.HLS_TOKEN_SECRET) {
+  console.warn(
+    "HLS_TOKEN_SECRET is not set, signed HLS URLs will not survive a restart or work across instances"
+  );
+}
+
+const sign = (data) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+export function createHlsToken({ roomId, clientId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt =
+    Math.ceil((now + HLS_TOKEN_TTL_SECONDS) / HLS_TOKEN_REFRESH_SECONDS) *
+    HLS_TOKEN_REFRESH_SECONDS;
+
+  const payload = Buffer.from(
+    JSON.stringify({ r: roomId, c: clientId || null, e: expiresAt })
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the token claims, or null if the token is forged or expired
+export function verifyHlsToken(token) {
+  if (typeof token !== "string") return null;
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const { r, c, e } = JSON.parse(
+      Buffer.from(payload, "base64url").toString()
+    );
+    if (!r || e < Math.floor(Date.now() / 1000)) return null;
+    return { roomId: r, clientId: c, expiresAt: e };
+  } catch {
+    return null;
+  }
+}
+
+// "/hls/<songId>/playlist.m3u8" -> "/hls/<token>/<songId>/playlist.m3u8"
+// The token lives in the path so relative segment URIs inherit it
+export function signHlsUrl(hlsUrl, { roomId, clientId } = {}) {
+  if (!hlsUrl) return hlsUrl;
+  return hlsUrl.replace(
+    /^\/hls\//,
+    `/hls/${createHlsToken({ roomId, clientId })}/`
+  );
+}
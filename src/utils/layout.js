@@ -0,0 +1,114 @@
+import {
+  LAYOUT_DEFAULT_SLOTS,
+  LAYOUT_MAX_REMEMBERED_SEATS,
+  LAYOUT_MODES,
+  RADIUS,
+} from "../constants/index.js";
+
+const { RING, LINE, GRID, STEREO, FREE } = LAYOUT_MODES;
+
+// Rooms created before layouts existed sit on the default ring
+export const DEFAULT_LAYOUT = { mode: RING, slots: LAYOUT_DEFAULT_SLOTS };
+
+export function roomLayout(room) {
+  return room.layout || DEFAULT_LAYOUT;
+}
+
+export function slotPosition(layout, slot) {
+  switch (layout.mode) {
+    case LINE: {
+      if (layout.slots === 1) return { x: 0, y: 0 };
+      return {
+        x: -RADIUS + (slot * 2 * RADIUS) / (layout.slots - 1),
+        y: 0,
+      };
+    }
+
+    case GRID: {
+      const columns = Math.ceil(Math.sqrt(layout.slots));
+      const rows = Math.ceil(layout.slots / columns);
+      const spread = (index, count) =>
+        count === 1 ? 0 : -RADIUS + (index * 2 * RADIUS) / (count - 1);
+      return {
+        x: spread(slot % columns, columns),
+        y: spread(Math.floor(slot / columns), rows),
+      };
+    }
+
+    // A left and a right speaker, extra devices double up on either side
+    case STEREO:
+      return { x: slot % 2 === 0 ? -RADIUS : RADIUS, y: 0 };
+
+    // Free placement starts newcomers on the ring until they are moved
+    case FREE:
+    case RING:
+    default: {
+      const angle = (slot * 2 * Math.PI) / layout.slots;
+      return { x: Math.cos(angle) * RADIUS, y: Math.sin(angle) * RADIUS };
+    }
+  }
+}
+
+// Seat a client that just joined, without moving anyone already seated.
+// Returning listeners get their old seat back if it is still free
+export function seatClient(room, clientId) {
+  const layout = roomLayout(room);
+  const client = room.clients[clientId];
+  const taken = new Set(
+    Object.entries(room.clients)
+      .filter(([id]) => id !== clientId)
+      .map(([, other]) => other.slot)
+  );
+
+  const seat = room.seats?.[client.username];
+  if (seat && !taken.has(seat.slot)) {
+    client.slot = seat.slot;
+  } else {
+    client.slot = 0;
+    while (taken.has(client.slot)) client.slot += 1;
+  }
+
+  // Stereo doubles up instead, every other layout grows to fit. Growing
+  // spaces the layout out again, the only time seated clients move, except
+  // in free placement where everyone stays where they were put
+  if (layout.mode !== STEREO && client.slot >= layout.slots) {
+    room.layout = { ...layout, slots: client.slot + 1 };
+    if (layout.mode !== FREE) {
+      placeClients(room);
+      return;
+    }
+  }
+
+  client.position =
+    layout.mode === FREE && seat
+      ? seat.position
+      : slotPosition(room.layout, client.slot);
+}
+
+// Remember where a leaving client sat, so they can have it back
+export function rememberSeat(room, client) {
+  const seats = { ...room.seats };
+  delete seats[client.username];
+  seats[client.username] = { slot: client.slot, position: client.position };
+
+  // Keys keep insertion order, so the oldest seats are forgotten first
+  const usernames = Object.keys(seats);
+  for (const username of usernames.slice(
+    0,
+    Math.max(0, usernames.length - LAYOUT_MAX_REMEMBERED_SEATS)
+  )) {
+    delete seats[username];
+  }
+
+  room.seats = seats;
+}
+
+// Put every client on its slot, free placement leaves positions alone
+export function placeClients(room) {
+  const layout = roomLayout(room);
+  if (layout.mode === FREE) return;
+
+  for (const client of Object.values(room.clients)) {
+    client.position = slotPosition(layout, client.slot);
+  }
+}
@@ -0,0 +1,36 @@
+import redis from "../config/redis.js";
+import instanceId from "../config/instance.js";
+
+redis.defineCommand("renewLease", {
+  numberOfKeys: 1,
+  lua: `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return 0
+`,
+});
+
+redis.defineCommand("releaseLease", {
+  numberOfKeys: 1,
+  lua: `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`,
+});
+
+// Leases are held by one instance at a time and lapse unless renewed
+
+export async function acquireLease(key, ttlMs) {
+  return (await redis.set(key, instanceId, "PX", ttlMs, "NX")) === "OK";
+}
+
+export async function renewLease(key, ttlMs) {
+  return (await redis.renewLease(key, instanceId, ttlMs)) === 1;
+}
+
+export async function releaseLease(key) {
+  return (await redis.releaseLease(key, instanceId)) === 1;
+}
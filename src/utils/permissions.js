@@ -0,0 +1,16 @@
+import { EVENT_PERMISSIONS, ROLES } from "../constants/index.js";
+
+const ROLE_RANK = {
+  [ROLES.LISTENER]: 0,
+  [ROLES.COHOST]: 1,
+  [ROLES.OWNER]: 2,
+};
+
+export function hasRole(role, requiredRole) {
+  if (!role) return false;
+  return ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+}
+
+export function canEmit(role, event) {
+  return hasRole(role, EVENT_PERMISSIONS[event] || ROLES.LISTENER);
+}
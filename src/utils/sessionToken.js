@@ -0,0 +1,9 @@
+// HTTP requests carry the session token join-room hands out as a bearer
+// token, form uploads may send it as a field instead
+export function requestSessionToken(req) {
+  return (
+    req.get("authorization")?.replace(/^Bearer\s+/i, "") ||
+    req.body?.sessionToken ||
+    null
+  );
+}
@@ -0,0 +1,90 @@
+import {
+  AUDIO_CHANNELS,
+  DISTANCE_MODELS,
+  ERROR_CODES,
+  RADIUS,
+} from "../constants/index.js";
+import { AppError } from "./errors.js";
+
+// Reproduces the original falloff: linear down to half volume at RADIUS
+export const DEFAULT_SPATIAL_CONFIG = {
+  distanceModel: DISTANCE_MODELS.LINEAR,
+  refDistance: 0,
+  maxDistance: RADIUS,
+  rolloff: 0.5,
+  minGain: 0.5,
+};
+
+export function roomSpatialConfig(room) {
+  return room.spatialConfig || DEFAULT_SPATIAL_CONFIG;
+}
+
+// Merge changed settings into the current ones and check they still make
+// a usable model
+export function createSpatialConfig(current, changes) {
+  const config = { ...current, ...changes };
+
+  if (config.distanceModel === DISTANCE_MODELS.LINEAR) {
+    if (config.maxDistance <= config.refDistance) {
+      throw new AppError(
+        ERROR_CODES.INVALID_SPATIAL_CONFIG,
+        "Invalid spatial config: maxDistance must be above refDistance"
+      );
+    }
+  } else if (config.refDistance <= 0) {
+    throw new AppError(
+      ERROR_CODES.INVALID_SPATIAL_CONFIG,
+      `Invalid spatial config: ${config.distanceModel} needs a positive refDistance`
+    );
+  }
+
+  return config;
+}
+
+export function distanceGain(config, distance) {
+  const { refDistance, maxDistance, rolloff } = config;
+  let gain;
+
+  switch (config.distanceModel) {
+    case DISTANCE_MODELS.INVERSE:
+      gain =
+        refDistance /
+        (refDistance +
+          rolloff * (Math.max(distance, refDistance) - refDistance));
+      break;
+
+    case DISTANCE_MODELS.EXPONENTIAL:
+      gain = Math.pow(Math.max(distance, refDistance) / refDistance, -rolloff);
+      break;
+
+    default: {
+      const clamped = Math.min(Math.max(distance, refDistance), maxDistance);
+      gain =
+        1 - (rolloff * (clamped - refDistance)) / (maxDistance - refDistance);
+    }
+  }
+
+  return Math.min(1, Math.max(gain, config.minGain));
+}
+
+// Listeners face the front of the room, towards positive y, so the pan is
+// how far the source sits to their right: -1 hard left to 1 hard right
+export function stereoPan(position, source) {
+  const dx = source.x - position.x;
+  const dy = source.y - position.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  return distance === 0 ? 0 : dx / distance;
+}
+
+// Output gains for a device's left and right speakers. Panning keeps the
+// centre at full volume, single channel devices are not panned
+export function channelMix(gain, pan, channel = AUDIO_CHANNELS.BOTH) {
+  if (channel !== AUDIO_CHANNELS.BOTH) {
+    return { left: gain, right: gain };
+  }
+
+  return {
+    left: gain * Math.min(1, 1 - pan),
+    right: gain * Math.min(1, 1 + pan),
+  };
+}
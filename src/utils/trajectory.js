@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import {
+  ERROR_CODES,
+  RADIUS,
+  RANDOM_WALK_STEPS_PER_CYCLE,
+  TRAJECTORY_PERIOD_MS,
+  TRAJECTORY_SHAPES,
+} from "../constants/index.js";
+import { AppError } from "./errors.js";
+
+const { CIRCLE, FIGURE_EIGHT, PING_PONG, RANDOM_WALK, KEYFRAMES } =
+  TRAJECTORY_SHAPES;
+
+const EASINGS = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => t * (2 - t),
+  "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+};
+
+// Rooms that never picked a trajectory keep the original orbit, anchored at
+// 0 so every instance agrees on its phase
+export const DEFAULT_TRAJECTORY = {
+  shape: CIRCLE,
+  speed: 1,
+  center: { x: 0, y: 0 },
+  radius: RADIUS,
+  tempo: null,
+  startedAt: 0,
+};
+
+// Fill in defaults and check the options that depend on the shape
+export function createTrajectory(options, startedAt) {
+  const trajectory = {
+    shape: options.shape,
+    speed: options.speed ?? 1,
+    center: options.center ?? { x: 0, y: 0 },
+    radius: options.radius ?? RADIUS,
+    tempo: options.tempo ? { beatsPerCycle: 4, ...options.tempo } : null,
+    startedAt,
+  };
+
+  switch (options.shape) {
+    case PING_PONG:
+      if (!options.from || !options.to) {
+        throw new AppError(
+          ERROR_CODES.INVALID_TRAJECTORY,
+          "Invalid trajectory: ping-pong needs from and to"
+        );
+      }
+      return {
+        ...trajectory,
+        from: options.from,
+        to: options.to,
+        easing: options.easing ?? "ease-in-out",
+      };
+
+    case RANDOM_WALK:
+      return {
+        ...trajectory,
+        easing: options.easing ?? "ease-in-out",
+        seed: options.seed ?? crypto.randomInt(2 ** 31),
+      };
+
+    case KEYFRAMES: {
+      const { keyframes } = options;
+      if (!keyframes || keyframes.length < 2) {
+        throw new AppError(
+          ERROR_CODES.INVALID_TRAJECTORY,
+          "Invalid trajectory: at least two keyframes needed"
+        );
+      }
+      if (keyframes[0].at !== 0) {
+        throw new AppError(
+          ERROR_CODES.INVALID_TRAJECTORY,
+          "Invalid trajectory: the first keyframe must be at 0"
+        );
+      }
+      if (keyframes.some((k, i) => i > 0 && k.at <= keyframes[i - 1].at)) {
+        throw new AppError(
+          ERROR_CODES.INVALID_TRAJECTORY,
+          "Invalid trajectory: keyframe times must increase"
+        );
+      }
+      return {
+        ...trajectory,
+        keyframes,
+        easing: options.easing ?? "linear",
+        loop: options.loop ?? true,
+      };
+    }
+
+    default:
+      return trajectory;
+  }
+}
+
+// Where the source is at a given moment. Tempo locked trajectories follow
+// the song position instead of the clock, so they pause and seek with it
+export function trajectoryPosition(trajectory, { now, songPosition }) {
+  const t = trajectory || DEFAULT_TRAJECTORY;
+  const cycles = Math.max(
+    0,
+    t.tempo
+      ? (songPosition * t.tempo.bpm) / (t.tempo.beatsPerCycle * 60 * 1000)
+      : ((now - t.startedAt) * t.speed) / cycleLength(t)
+  );
+  const phase = cycles - Math.floor(cycles);
+
+  switch (t.shape) {
+    case FIGURE_EIGHT: {
+      const angle = phase * Math.PI * 2;
+      return {
+        x: t.center.x + Math.sin(angle) * t.radius,
+        y: t.center.y + Math.sin(angle) * Math.cos(angle) * t.radius,
+      };
+    }
+
+    case PING_PONG: {
+      // There in the first half of the cycle, back in the second
+      const leg = phase < 0.5 ? phase * 2 : 2 - phase * 2;
+      return lerp(t.from, t.to, EASINGS[t.easing](leg));
+    }
+
+    case RANDOM_WALK: {
+      const steps = cycles * RANDOM_WALK_STEPS_PER_CYCLE;
+      const step = Math.floor(steps);
+      return lerp(
+        waypoint(t, step),
+        waypoint(t, step + 1),
+        EASINGS[t.easing](steps - step)
+      );
+    }
+
+    case KEYFRAMES:
+      return keyframePosition(t, t.loop ? phase : Math.min(cycles, 1));
+
+    default: {
+      const angle = phase * Math.PI * 2;
+      return {
+        x: t.center.x + Math.cos(angle) * t.radius,
+        y: t.center.y + Math.sin(angle) * t.radius,
+      };
+    }
+  }
+}
+
+// Keyframe paths take as long as their last keyframe, everything else the
+// standard period
+function cycleLength(trajectory) {
+  return trajectory.shape === KEYFRAMES
+    ? trajectory.keyframes[trajectory.keyframes.length - 1].at
+    : TRAJECTORY_PERIOD_MS;
+}
+
+// A looping path jumps back to its first keyframe, repeat it at the end for
+// a closed path. Each keyframe may set the easing of the segment leading to it
+function keyframePosition(trajectory, progress) {
+  const { keyframes } = trajectory;
+  const time = progress * keyframes[keyframes.length - 1].at;
+  const next = keyframes.findIndex((k) => k.at > time);
+  if (next === -1) {
+    return point(keyframes[keyframes.length - 1]);
+  }
+
+  const from = keyframes[next - 1];
+  const to = keyframes[next];
+  const easing = EASINGS[to.easing ?? trajectory.easing];
+  return lerp(from, to, easing((time - from.at) / (to.at - from.at)));
+}
+
+// Random but repeatable points within the radius, so every instance
+// computes the same walk from the seed
+function waypoint(trajectory, step) {
+  const angle = noise(trajectory.seed, step * 2) * Math.PI * 2;
+  const distance = Math.sqrt(noise(trajectory.seed, step * 2 + 1));
+  return {
+    x: trajectory.center.x + Math.cos(angle) * distance * trajectory.radius,
+    y: trajectory.center.y + Math.sin(angle) * distance * trajectory.radius,
+  };
+}
+
+// Integer hash mapped to [0, 1)
+function noise(seed, index) {
+  let h = (seed ^ Math.imul(index, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 2 ** 32;
+}
+
+function lerp(a, b, t) {
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+function point({ x, y }) {
+  return { x, y };
+}
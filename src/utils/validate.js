@@ -0,0 +1,130 @@
+// Checks a payload against a schema of field rules and returns the problems
+// found, an empty list means the payload is valid. Fields the schema does
+// not list are rejected. Supported rules: type (string, number, integer,
+// boolean, object, array), required, nullable, min, max, minLength,
+// maxLength, pattern, enum, fields for nested objects and items for the
+// elements of arrays, whose length is bounded by minItems and maxItems
+export function validate(schema, payload, path = "") {
+  if (
+    typeof payload !== "object" ||
+    payload === null ||
+    Array.isArray(payload)
+  ) {
+    return [{ field: path || "payload", message: "must be an object" }];
+  }
+
+  const problems = [];
+
+  for (const field of Object.keys(payload)) {
+    if (!Object.hasOwn(schema, field)) {
+      problems.push({
+        field: fieldName(path, field),
+        message: "is not allowed",
+      });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = payload[field];
+    const name = fieldName(path, field);
+
+    if (value === undefined) {
+      if (rule.required) problems.push({ field: name, message: "is required" });
+      continue;
+    }
+
+    if (value === null) {
+      if (!rule.nullable)
+        problems.push({ field: name, message: "must not be null" });
+      continue;
+    }
+
+    problems.push(...checkRule(rule, value, name));
+  }
+
+  return problems;
+}
+
+function checkRule(rule, value, name) {
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") {
+        return [{ field: name, message: "must be a string" }];
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return [
+          {
+            field: name,
+            message: `must be at least ${rule.minLength} characters`,
+          },
+        ];
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return [
+          {
+            field: name,
+            message: `must be at most ${rule.maxLength} characters`,
+          },
+        ];
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return [{ field: name, message: "has an invalid format" }];
+      }
+      break;
+
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return [{ field: name, message: "must be a finite number" }];
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        return [{ field: name, message: "must be an integer" }];
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return [{ field: name, message: `must be at least ${rule.min}` }];
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return [{ field: name, message: `must be at most ${rule.max}` }];
+      }
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return [{ field: name, message: "must be a boolean" }];
+      }
+      break;
+
+    case "object":
+      return validate(rule.fields || {}, value, name);
+
+    case "array":
+      if (!Array.isArray(value)) {
+        return [{ field: name, message: "must be an array" }];
+      }
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return [
+          { field: name, message: `must have at least ${rule.minItems} items` },
+        ];
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return [
+          { field: name, message: `must have at most ${rule.maxItems} items` },
+        ];
+      }
+      return value.flatMap((item, index) =>
+        item === null || item === undefined
+          ? [{ field: `${name}.${index}`, message: "is required" }]
+          : checkRule(rule.items, item, `${name}.${index}`)
+      );
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [{ field: name, message: `must be one of ${rule.enum.join(", ")}` }];
+  }
+
+  return [];
+}
+
+function fieldName(path, field) {
+  return path ? `${path}.${field}` : field;
+}
@@ -0,0 +1,105 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import redis from "../src/config/redis.js";
+import roomManager from "../src/services/RoomManager.js";
+import timeService from "../src/services/TimeService.js";
+import { RADIUS } from "../src/constants/index.js";
+
+const CLIENTS = 30;
+const PLAYS = 15;
+const MOVES = 30;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+after(async () => {
+  await redis.quit();
+});
+
+test("parallel events on one room keep every write", async () => {
+  const roomId = "100000";
+  const songIds = ["song_a", "song_b", "song_c"];
+  await roomManager.initRoom(roomId);
+  await roomManager.updateRoom(roomId, (room) => {
+    for (const songId of songIds) {
+      room.songs[songId] = {
+        songUrl: `${songId}.mp3`,
+        hlsUrl: `/hls/${songId}/playlist.m3u8`,
+        uploadedAt: timeService.now(),
+        duration: 60 * 1000,
+      };
+    }
+  });
+  await roomManager.toggleSpatialAudio(roomId, true);
+
+  try {
+    // Fire the calls in a few bursts spread over several spatial frames,
+    // so they race each other and the ticker
+    const bursts = [0, 100, 200, 300].map(wait);
+    const soon = (fn) =>
+      bursts[Math.floor(Math.random() * bursts.length)].then(fn);
+
+    const moves = Array.from({ length: MOVES }, (_, i) => ({ x: i, y: -i }));
+    const [, plays] = await Promise.all([
+      Promise.all(
+        Array.from({ length: CLIENTS }, (_, i) =>
+          soon(() =>
+            roomManager.addClient({
+              roomId,
+              username: `listener ${i}`,
+              clientId: `client_${i}`,
+            })
+          )
+        )
+      ),
+      Promise.all(
+        Array.from({ length: PLAYS }, (_, i) =>
+          soon(() => roomManager.playSong(roomId, songIds[i % songIds.length]))
+        )
+      ),
+      Promise.all(
+        moves.map((position) =>
+          soon(() => roomManager.updateSourcePosition(roomId, position))
+        )
+      ),
+    ]);
+
+    // Give the ticker a few frames of its own after the last move
+    await wait(500);
+    const room = await roomManager.getRoom(roomId);
+
+    for (let i = 0; i < CLIENTS; i++) {
+      assert.ok(room.clients[`client_${i}`], `client_${i} was lost`);
+    }
+    assert.ok(room.clients[room.ownerId], "the room lost its owner");
+
+    // Everyone has a seat of their own on the ring
+    const clients = Object.values(room.clients);
+    assert.equal(new Set(clients.map(({ slot }) => slot)).size, CLIENTS);
+    const positions = clients.map(
+      ({ position }) => `${position.x.toFixed(3)},${position.y.toFixed(3)}`
+    );
+    assert.equal(new Set(positions).size, CLIENTS);
+
+    // The room plays whichever song was started last, all of its fields
+    // written by the same call
+    assert.ok(room.isPlaying);
+    const play = plays.find(
+      (p) =>
+        p.songId === room.currentSong &&
+        p.serverTime === room.serverTime &&
+        p.playbackStartTime === room.playbackStartTime
+    );
+    assert.ok(play, "the playback state mixes several plays");
+    assert.equal(room.hlsUrl, room.songs[room.currentSong].hlsUrl);
+
+    // The ticker kept moving the source around its orbit
+    assert.ok(room.spatialEnabled);
+    assert.ok(
+      Math.abs(Math.hypot(room.soundSource.x, room.soundSource.y) - RADIUS) <
+        1e-6,
+      "the spatial ticker stopped"
+    );
+  } finally {
+    await roomManager.closeRoom(roomId);
+  }
+});
@@ -0,0 +1,14 @@
+import { register } from "node:module";
+
+// Tests run against an in-memory Redis unless REDIS_HOST points at a real one
+if (!process.env.REDIS_HOST) {
+  register(
+    "data:text/javascript," +
+      encodeURIComponent(`
+        export async function resolve(specifier, context, next) {
+          return next(specifier === "ioredis" ? "ioredis-mock" : specifier, context);
+        }
+      `),
+    import.meta.url
+  );
+}